@@ -44,6 +44,7 @@ dependencies {
     implementation("org.osmdroid:osmdroid-android:6.1.20")
     implementation("org.osmdroid:osmdroid-wms:6.1.20")
     implementation("androidx.webkit:webkit:1.14.0") // or latest stable version
+    implementation("androidx.work:work-runtime:2.10.3") // background sync of the offline queue
 
     testImplementation("junit:junit:4.13.2")
     androidTestImplementation("androidx.test.ext:junit:1.3.0")
@@ -75,6 +75,176 @@ const Store = {
   }
 };
 
+/* ---------------- Secure store: credentials, encrypted at rest ---------------- */
+// Same shape as Store but for tokens and saved accounts only. On Android values are
+// AES-GCM encrypted with a Keystore key. Browsers keep them in memory and persist an
+// AES-GCM ciphertext under a separate prefix, with a non-extractable WebCrypto key held
+// in IndexedDB; without WebCrypto they aren't persisted at all. Browser values load
+// asynchronously, so boot waits on SecureStore.ready.
+const SecureStore = {
+  hasNative: !!(window.NativeSecureStore && NativeSecureStore.getItem),
+  keys: ["jwt", "lastJwt", "offlineAccounts"],
+  prefix: "secure:",
+  // Plaintext JSON per key. The native store decrypts on every read, so its values are cached here too.
+  _mem: {},
+  _saving: {},
+  _key: null,
+  get(key, fallback = null) {
+    try {
+      if (this.hasNative && !(key in this._mem)) this._mem[key] = NativeSecureStore.getItem(key);
+      const v = this._mem[key];
+      return v ? JSON.parse(v) : fallback;
+    } catch (e) {
+      return fallback;
+    }
+  },
+  // Returns false if the value couldn't be stored
+  set(key, val) {
+    const json = JSON.stringify(val);
+    if (!this.hasNative) {
+      this._mem[key] = json;
+      this._saving[key] = this.persist(key);
+      return true;
+    }
+    // Never fall back to plaintext: an unsaved token only costs a fresh login
+    if (NativeSecureStore.setItem(key, json)) {
+      this._mem[key] = json;
+      return true;
+    }
+    // Read back whatever the native store still holds
+    delete this._mem[key];
+    nativeLog(`secure store write failed: ${key}`);
+    return false;
+  },
+  remove(key) {
+    delete this._mem[key];
+    if (this.hasNative) {
+      NativeSecureStore.removeItem(key);
+      return;
+    }
+    localStorage.removeItem(`${this.prefix}${key}`);
+  },
+
+  // Browser only: opened once, created on first use
+  cryptoKey() {
+    if (!this._key) this._key = this.openKey().catch(e => { nativeLog(`secure key unavailable: ${e?.message || e}`); return null; });
+    return this._key;
+  },
+  async openKey() {
+    if (!window.indexedDB || !window.crypto?.subtle) return null;
+    const db = await new Promise((resolve, reject) => {
+      const req = indexedDB.open("civicsweep-secure", 1);
+      req.onupgradeneeded = () => req.result.createObjectStore("keys");
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const run = (mode, fn) => new Promise((resolve, reject) => {
+      const req = fn(db.transaction("keys", mode).objectStore("keys"));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    let key = await run("readonly", s => s.get("aes"));
+    if (!key) {
+      key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+      await run("readwrite", s => s.put(key, "aes"));
+    }
+    return key;
+  },
+  b64(bytes) { return btoa(String.fromCharCode(...new Uint8Array(bytes))); },
+  unb64(s) { return Uint8Array.from(atob(s), c => c.charCodeAt(0)); },
+  // Writes the in-memory value as ciphertext; false if that failed
+  async persist(key) {
+    const name = `${this.prefix}${key}`;
+    try {
+      const k = await this.cryptoKey();
+      if (!k) {
+        localStorage.removeItem(name); // memory only, never plaintext
+        return true;
+      }
+      const json = this._mem[key];
+      if (json == null) return true;
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, k, new TextEncoder().encode(json));
+      // A newer set() or remove() owns the slot now
+      if (this._mem[key] !== json) return true;
+      localStorage.setItem(name, JSON.stringify({ v: 1, iv: this.b64(iv), data: this.b64(data) }));
+      return true;
+    } catch (e) {
+      nativeLog(`secure store write failed: ${key}`);
+      localStorage.removeItem(name);
+      return false;
+    }
+  },
+  async load() {
+    if (this.hasNative) return;
+    for (const key of this.keys) {
+      const name = `${this.prefix}${key}`;
+      const raw = localStorage.getItem(name);
+      if (!raw) continue;
+      try {
+        const box = JSON.parse(raw);
+        if (box?.v === 1 && box.iv && box.data) {
+          const k = await this.cryptoKey();
+          if (!k) continue;
+          const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: this.unb64(box.iv) }, k, this.unb64(box.data));
+          this._mem[key] = new TextDecoder().decode(plain);
+        } else {
+          // Plain text from an earlier build: re-save encrypted, or drop it
+          this._mem[key] = raw;
+          await this.persist(key);
+        }
+      } catch (e) {
+        // Key gone (site data partly cleared) or a damaged entry: it only costs a sign-in
+        localStorage.removeItem(name);
+      }
+    }
+  },
+  // Moves credentials written by older versions out of the plain store (first launch after update).
+  // The plaintext copy is only removed once the secure copy has been written.
+  async migrate() {
+    for (const key of this.keys) {
+      const plain = Store.get(key, null);
+      if (plain == null) continue;
+      if (this.get(key, null) == null) {
+        let saved = this.set(key, plain);
+        if (saved && !this.hasNative) saved = await this._saving[key];
+        if (!saved) continue; // try again next launch
+      }
+      Store.remove(key);
+    }
+  }
+};
+SecureStore.ready = SecureStore.load()
+  .then(() => SecureStore.migrate())
+  .catch(e => nativeLog(`secure store load failed: ${e?.message || e}`));
+
+/* ---------------- Blob store: pending images as files via bridge ---------------- */
+const Blobs = {
+  hasNative: !!(window.NativeBlobs && NativeBlobs.put),
+  put(id, data) {
+    try {
+      if (this.hasNative) return !!NativeBlobs.put(id, data);
+      localStorage.setItem(`blob:${id}`, data);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  get(id) {
+    if (!id) return null;
+    try {
+      return (this.hasNative ? NativeBlobs.get(id) : localStorage.getItem(`blob:${id}`)) || null;
+    } catch (e) {
+      return null;
+    }
+  },
+  remove(id) {
+    if (!id) return;
+    if (this.hasNative) NativeBlobs.remove(id);
+    else localStorage.removeItem(`blob:${id}`);
+  }
+};
+
 /* ---------------- Lightweight cache + offline helpers ---------------- */
 const Cache = {
   get(key, maxAgeMs = 10 * 60 * 1000) {
@@ -126,12 +296,12 @@ function updateNetStatus() {
 
 /* ---------------- API base + helpers ---------------- */
 const API_BASE = "https://civicsweep-api.onrender.com";
-let JWT = Store.get("jwt", null);
+let JWT = SecureStore.get("jwt", null);
 
 function setJWT(token) {
   JWT = token;
-  if (token) Store.set("jwt", token);
-  else Store.remove("jwt");
+  if (token) SecureStore.set("jwt", token);
+  else SecureStore.remove("jwt");
 }
 
 function decodeJwtPayload(token) {
@@ -155,21 +325,34 @@ function isJwtExpired(token, skewSeconds = 60) {
 }
 
 function getOfflineAccounts() {
-  return Store.get("offlineAccounts", []);
+  return SecureStore.get("offlineAccounts", []);
 }
 
 function setOfflineAccounts(list) {
-  Store.set("offlineAccounts", list || []);
+  SecureStore.set("offlineAccounts", list || []);
 }
 
 function accountKey(role, loginId) {
   return `${String(role || "").toLowerCase()}:${String(loginId || "").toLowerCase()}`;
 }
 
+function sessionAccountKey(session = Session?.data) {
+  if (!session) return null;
+  return accountKey(session.role, session.adminEmail || session.vendorId || session.userId || "");
+}
+
+// Freshest unexpired token this device holds for an account (keys from sessionAccountKey)
+function savedTokenFor(key) {
+  if (!key) return null;
+  if (key === sessionAccountKey() && JWT && !isJwtExpired(JWT)) return JWT;
+  const hit = getOfflineAccounts().find(a => sessionAccountKey(a.session) === key && !isJwtExpired(a.token));
+  return hit?.token || null;
+}
+
 function rememberSession(session, token, identifier) {
   if (!session || !token) return;
   Store.set("lastSession", session);
-  Store.set("lastJwt", token);
+  SecureStore.set("lastJwt", token);
   if (identifier) Store.set("lastLoginId", String(identifier).trim().toLowerCase());
   Store.set("lastLoginAt", now());
 
@@ -199,7 +382,7 @@ function getOfflineCandidate(key) {
   }
   if (!item) {
     const lastSession = Store.get("lastSession", null);
-    const lastJwt = Store.get("lastJwt", null);
+    const lastJwt = SecureStore.get("lastJwt", null);
     const lastLoginId = Store.get("lastLoginId", null);
     if (lastSession && lastJwt) {
       const role = String(lastSession.role || "").toLowerCase();
@@ -238,7 +421,7 @@ function findOfflineAccount(role, loginId) {
   if (!item) {
     // legacy fallback
     const legacySession = Store.get("lastSession", null);
-    const legacyJwt = Store.get("lastJwt", null);
+    const legacyJwt = SecureStore.get("lastJwt", null);
     const legacyId = Store.get("lastLoginId", null);
     const legacyRole = String(legacySession?.role || "").toLowerCase();
     const legacyLogin = String(legacyId || "").trim().toLowerCase();
@@ -263,6 +446,8 @@ async function api(path, method = "GET", body, options = {}) {
   api.lastFromCache = false;
   const cacheKey = options.cacheKey || null;
   const cacheMaxAgeMs = options.cacheMaxAgeMs || (10 * 60 * 1000);
+  // Queued items replay with their owner's token, which may not be the signed-in account's
+  const token = options.token || JWT;
 
   if (method === "GET" && cacheKey && !navigator.onLine) {
     const cached = Cache.get(cacheKey, cacheMaxAgeMs);
@@ -286,7 +471,9 @@ async function api(path, method = "GET", body, options = {}) {
         "Content-Type": "application/json",
         "Cache-Control": "no-cache",
         "Pragma": "no-cache",
-        ...(JWT ? { Authorization: `Bearer ${JWT}` } : {})
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        // Lets the server drop a replay of a write it already applied
+        ...(options.idempotencyKey ? { "Idempotency-Key": options.idempotencyKey } : {})
       },
       body: body ? JSON.stringify(body) : undefined
     });
@@ -308,7 +495,9 @@ async function api(path, method = "GET", body, options = {}) {
   if (!res.ok) {
     const msg = (data && (data.error || data.message)) || `HTTP ${res.status}`;
     nativeLog(`API ${method} ${path} -> ${res.status} ${msg}`);
-    throw new Error(msg);
+    const err = new Error(msg);
+    err.status = res.status;
+    throw err;
   }
   if (navigator.onLine) setLastSync();
   if (method === "GET" && cacheKey) Cache.set(cacheKey, data);
@@ -316,6 +505,37 @@ async function api(path, method = "GET", body, options = {}) {
   return data;
 }
 
+// Multipart POST (media uploads); same error shape as api()
+async function apiUpload(path, form, options = {}) {
+  try { UI?.fx?.progressStart?.(); } catch(_){}
+  let res;
+  try {
+    res = await fetch(`${API_BASE}${path}`, {
+      method: "POST",
+      headers: {
+        ...((options.token || JWT) ? { Authorization: `Bearer ${options.token || JWT}` } : {}),
+        ...(options.idempotencyKey ? { "Idempotency-Key": options.idempotencyKey } : {})
+      },
+      body: form
+    });
+  } finally {
+    try { UI?.fx?.progressStop?.(); } catch(_){}
+  }
+  let data = null;
+  try {
+    data = await res.json();
+  } catch (_) {}
+  if (!res.ok) {
+    const msg = (data && (data.error || data.message)) || `HTTP ${res.status}`;
+    nativeLog(`API POST ${path} -> ${res.status} ${msg}`);
+    const err = new Error(msg);
+    err.status = res.status;
+    throw err;
+  }
+  if (navigator.onLine) setLastSync();
+  return data;
+}
+
 /* ---------------- basics ---------------- */
 function uid() { return Math.random().toString(36).slice(2, 8); }
 function now() { return new Date().toISOString(); }
@@ -369,36 +589,138 @@ const OfflineQueue = {
     Store.set(this.key, this.list);
     updateNetStatus();
     try { UI?.renderPendingSync?.(); } catch (_) {}
+    try { UI?.renderQueuedAccounts?.(); } catch (_) {}
+    try { BackgroundSync.publish(); } catch (_) {}
+  },
+  // Items belong to the account that queued them; only that account's token may send them
+  mine() {
+    const me = sessionAccountKey();
+    return me ? this.list.filter(i => i.owner === me) : [];
+  },
+  count() { return this.mine().length; },
+  // { owner: n } for everyone but the signed-in account
+  otherOwners() {
+    const me = sessionAccountKey();
+    const out = {};
+    this.list.forEach(i => { if (i.owner !== me) out[i.owner] = (out[i.owner] || 0) + 1; });
+    return out;
+  },
+  newId() { return `q_${Date.now()}_${uid()}`; },
+  // q_ id -> { id, queuedAt, syncedAt } for reports that were created from the queue
+  ids: Store.get("queueIds", {}),
+  serverId(id) {
+    return this.ids[String(id)]?.id ?? id;
+  },
+  localRef(serverId) {
+    const key = String(serverId);
+    const hit = Object.entries(this.ids).find(([, v]) => String(v.id) === key);
+    return hit ? { localId: hit[0], ...hit[1] } : null;
+  },
+  // Swap a synced stub for the server's report everywhere we still hold the q_ id
+  reconcile(item, created) {
+    if (created?.id == null) return;
+    const localId = item.id;
+    this.ids[localId] = { id: created.id, queuedAt: item.createdAt, syncedAt: now() };
+    const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    Object.keys(this.ids).forEach(k => { if (Date.parse(this.ids[k].syncedAt) < cutoff) delete this.ids[k]; });
+    Store.set("queueIds", this.ids);
+    this.list.forEach(i => {
+      if (i.payload && String(i.payload.reportId) === localId) i.payload.reportId = created.id;
+    });
+    const rows = Reports._userRows || [];
+    if (rows.some(r => r.id === localId)) {
+      Reports._userRows = rows.map(r => r.id === localId ? { ...r, ...created, offline: false } : r);
+    }
+  },
+  labels: {
+    "report.create": "New report",
+    "report.attach": "Add photos",
+    "report.confirm": "Confirm cleanup",
+    "report.reopen": "Reopen report",
+    "vendor.start": "Start task",
+    "vendor.complete": "Complete task",
+    "admin.assign": "Assign vendor",
+    "admin.status": "Change status",
+    "admin.approve": "Approve completion",
+    "admin.reject": "Reject completion",
+    "admin.wasteType": "Correct waste type"
+  },
+  // Server status each action expects; anything else means someone got there first
+  expects: {
+    "admin.assign": st => st !== "RESOLVED",
+    "vendor.start": st => st === "ASSIGNED" || st === "IN_PROGRESS",
+    "vendor.complete": st => st === "ASSIGNED" || st === "IN_PROGRESS",
+    "admin.approve": st => st === "VERIFICATION_PENDING",
+    "admin.reject": st => st === "VERIFICATION_PENDING",
+    "report.confirm": st => st === "RESOLVED",
+    "report.reopen": st => st === "RESOLVED"
+  },
+  // Payload fields the pending-sync panel can edit: [key, label, options?]
+  editable: {
+    "report.create": [["title", "Title"], ["desc", "Description"]],
+    "report.reopen": [["comment", "What is still wrong"]],
+    "vendor.start": [["reportId", "Report ID"]],
+    "vendor.complete": [["reportId", "Report ID"]],
+    "admin.assign": [["reportId", "Report ID"], ["vendorId", "Vendor ID"]],
+    "admin.status": [["reportId", "Report ID"], ["status", "Status", ["NEW", "ASSIGNED", "IN_PROGRESS", "RESOLVED"]]],
+    "admin.reject": [["reason", "Reason"]]
+  },
+  describe(item) {
+    const p = item.payload || {};
+    if (item.type === "report.create") return p.title || "Untitled report";
+    const label = this.labels[item.type] || item.type;
+    const target = p.reportId ? ` #${p.reportId}` : "";
+    if (item.type === "admin.assign") return `${label}${target} → ${p.vendorId || "?"}`;
+    if (item.type === "admin.status") return `${label}${target} → ${p.status || "?"}`;
+    if (item.type === "admin.wasteType") return `${label}${target} → ${p.label || "?"}`;
+    return `${label}${target}`;
+  },
+  // Targets a report that is itself still queued (create not synced yet)
+  waitsOnCreate(item) {
+    const rid = item.payload?.reportId;
+    return rid != null && this.list.some(i => i.type === "report.create" && i.id === String(rid));
+  },
+  // Needs a person: failed for a non-network reason or conflicts with the server
+  held(item) { return !!(item.error || item.conflict); },
+  knownReport(id) {
+    if (id == null) return null;
+    const key = String(id);
+    const rows = [...(Reports._adminRows || []), ...(Reports._vendorRows || []), ...(Reports._userRows || [])];
+    return rows.find(r => String(r.id) === key) || null;
   },
-  count() { return this.list.length; },
   enqueue(item) {
     const entry = {
-      id: item.id || `q_${Date.now()}_${uid()}`,
+      id: item.id || this.newId(),
       type: item.type,
       payload: item.payload || {},
-      createdAt: item.createdAt || now()
+      createdAt: item.createdAt || now(),
+      owner: item.owner || sessionAccountKey()
     };
+    // What we saw when queueing, so flush can tell if the report moved on meanwhile
+    const known = this.knownReport(entry.payload.reportId);
+    if (known) entry.base = { status: statusKey(known.status), updatedAt: known.updatedAt || null };
     this.list.push(entry);
     this.save();
     if (navigator.onLine) this.scheduleFlush();
     return entry;
   },
-  enqueueReport(payload) {
-    const entry = this.enqueue({ type: "report.create", payload });
+  // id: reuse the idempotency key of an online attempt that failed, so a replay can't duplicate it
+  enqueueReport(payload, id = null) {
+    const entry = this.enqueue({ id, type: "report.create", payload });
     return this.toReportStub(entry);
   },
-  enqueueAction(type, payload) {
-    return this.enqueue({ type, payload });
+  enqueueAction(type, payload, id = null) {
+    return this.enqueue({ id, type, payload });
   },
   pendingReports() {
-    return this.list.filter(i => i.type === "report.create");
+    return this.mine().filter(i => i.type === "report.create");
   },
   retryInMs() {
     if (!this._nextRetryAt) return 0;
     return Math.max(0, this._nextRetryAt - Date.now());
   },
   scheduleFlush() {
-    if (this._timer || !this.list.length) return;
+    if (this._timer || !this.list.some(i => !this.held(i) && savedTokenFor(i.owner))) return;
     const base = 2000;
     const delay = Math.min(60000, base * Math.pow(2, this._retryCount));
     const jitter = Math.floor(Math.random() * 400);
@@ -427,9 +749,15 @@ const OfflineQueue = {
       lat: p.lat,
       lng: p.lng,
       address: p.address || "",
-      photoBase64: p.photoBase64 || null,
-      wasteType: (p.wasteTypeOverride && p.wasteTypeOverride !== "auto") ? p.wasteTypeOverride : null,
-      wasteConfidence: null,
+      photoUrl: p.photoUrl || null,
+      photoThumbUrl: p.photoThumbUrl || null,
+      photoThumb: p.photoThumb || null,
+      photoBlobId: p.photoBlobId || null,
+      photoMedia: p.photoMedia || null,
+      // Manual choice wins; otherwise show the on-device guess until the server classifies it
+      wasteType: (p.wasteTypeOverride && p.wasteTypeOverride !== "auto") ? p.wasteTypeOverride : (p.wasteTypeHint?.type || null),
+      wasteConfidence: (p.wasteTypeOverride && p.wasteTypeOverride !== "auto") ? null : (p.wasteTypeHint?.confidence ?? null),
+      wasteTypeSource: (p.wasteTypeOverride && p.wasteTypeOverride !== "auto") ? "manual" : (p.wasteTypeHint ? "device" : null),
       status: "QUEUED",
       autoAssigned: false,
       autoAssignNote: "Queued offline. Will sync when online.",
@@ -438,6 +766,81 @@ const OfflineQueue = {
       offline: true
     };
   },
+  // Older queues stored images inline; move them to the blob store once
+  migrateMedia() {
+    let moved = 0;
+    this.list.forEach(item => {
+      const p = item.payload || {};
+      [["photoBase64", "photo"], ["proofBase64", "proof"]].forEach(([legacy, field]) => {
+        if (!p[legacy]) return;
+        try {
+          p[`${field}BlobId`] = Media.park(p[legacy]);
+          delete p[legacy];
+          moved++;
+        } catch (_) {}
+      });
+    });
+    if (moved) Store.set(this.key, this.list);
+    // Queues from before per-account scoping. With someone signed in we can't tell they made them,
+    // so leave them unowned (never sent) until a signed-out start gives them to the last account.
+    const legacyOwner = Session.data ? null : sessionAccountKey(Store.get("lastSession", null));
+    const orphans = this.list.filter(i => !i.owner);
+    if (orphans.length && legacyOwner) {
+      orphans.forEach(i => { i.owner = legacyOwner; });
+      Store.set(this.key, this.list);
+    }
+    return moved;
+  },
+  // Every queued type is a POST; the background worker replays the same paths
+  path(item) {
+    const rid = encodeURIComponent(item.payload?.reportId);
+    return {
+      "report.create": "/reports",
+      "vendor.start": "/reports/vendor/start",
+      "vendor.complete": "/reports/vendor/complete",
+      "admin.assign": "/reports/assign",
+      "admin.status": "/reports/status",
+      "admin.approve": "/reports/approve",
+      "admin.reject": "/reports/reject",
+      "report.confirm": `/reports/${rid}/confirm`,
+      "report.reopen": `/reports/${rid}/reopen`,
+      "admin.wasteType": `/reports/${rid}/waste-type`,
+      "report.attach": `/reports/${rid}/photos`
+    }[item.type] || null;
+  },
+  // The queue id doubles as the idempotency key, so every replay of an entry is the same write
+  async send(item, token) {
+    const path = this.path(item);
+    if (!path) throw new Error(`Unknown queued action: ${item.type}`);
+    return api(path, "POST", item.payload, { idempotencyKey: item.id, token });
+  },
+  // Statuses the report may be in for the item to still apply; null when there's nothing to check.
+  // The background worker gets the same list, so both sides agree on what counts as a conflict.
+  expectedStatuses(item) {
+    if (item.force) return null;
+    const rule = this.expects[item.type];
+    if (rule) return Object.keys(STATUS_COLORS).filter(st => st !== "QUEUED" && rule(st));
+    if (item.type === "admin.status" && item.base) return [item.base.status, statusKey(item.payload?.status)];
+    return null;
+  },
+  // Looks at the report as it is now; returns { reason, serverStatus } if the action no longer fits
+  async checkConflict(item, token) {
+    const id = item.payload?.reportId;
+    const allowed = this.expectedStatuses(item);
+    if (!allowed || id == null || String(id).startsWith("q_")) return null;
+    let current;
+    try {
+      current = await api(`/reports/${encodeURIComponent(id)}`, "GET", null, { token });
+    } catch (e) {
+      if (isNetworkError(e)) throw e;
+      if (e?.status === 404) return { reason: "Report no longer exists", serverStatus: null };
+      return null; // can't tell from here; let the server decide
+    }
+    const st = statusKey(current?.status);
+    if (allowed.includes(st)) return null;
+    if (item.type === "admin.status") return { reason: `Status changed to ${st} since this was queued`, serverStatus: st };
+    return { reason: `Report is already ${st}`, serverStatus: st };
+  },
   async flush(force = false) {
     if (this._flushing) return;
     if (force) {
@@ -449,49 +852,177 @@ const OfflineQueue = {
       this.scheduleFlush();
       return;
     }
+    // Don't resend what the background worker already delivered
+    BackgroundSync.collect();
     if (!this.list.length) { updateNetStatus(); return; }
     this._flushing = true;
     updateNetStatus();
-    let remaining = [];
+    const kept = [];
     let failedNet = false;
+    let sent = 0;
+    // Held entries are skipped, not blocking: the rest of the queue still goes out
     for (let i = 0; i < this.list.length; i++) {
       const item = this.list[i];
+      // No valid token for the owner (signed out long ago): wait for them to sign in again
+      const token = savedTokenFor(item.owner);
+      if (failedNet || !token || this.held(item) || this.waitsOnCreate(item)) { kept.push(item); continue; }
       try {
-        if (item.type === "report.create") {
-          await api("/reports", "POST", item.payload);
-        } else if (item.type === "vendor.complete") {
-          await api("/reports/vendor/complete", "POST", item.payload);
-        } else if (item.type === "admin.assign") {
-          await api("/reports/assign", "POST", item.payload);
-        } else if (item.type === "admin.status") {
-          await api("/reports/status", "POST", item.payload);
+        if (Media.parked(item.payload)) {
+          // Each uploaded ref is saved as soon as it exists, so photos aren't re-sent after a failure
+          const save = payload => {
+            item.payload = payload;
+            Store.set(this.key, this.list);
+          };
+          save(await Media.resolve(item.payload, { key: item.id, token, save }));
+        }
+        const conflict = await this.checkConflict(item, token);
+        if (conflict) {
+          kept.push({ ...item, conflict: { ...conflict, at: now() } });
+          continue;
         }
+        const res = await this.send(item, token);
+        if (item.type === "report.create") this.reconcile(item, res);
+        sent++;
       } catch (e) {
-        remaining = this.list.slice(i);
-        const isNet = isNetworkError(e);
-        failedNet = isNet;
-        if (!isNet) remaining[0] = { ...item, error: e?.message || "Failed", failedAt: now() };
-        break;
+        if (isNetworkError(e)) {
+          failedNet = true;
+          kept.push(item);
+        } else if (e?.status === 409) {
+          kept.push({ ...item, conflict: { reason: e?.message || "Conflicts with a newer change", serverStatus: null, at: now() } });
+        } else {
+          kept.push({ ...item, error: e?.message || "Failed", failedAt: now() });
+        }
       }
     }
-    this.list = remaining;
+    this.list = kept;
     this.save();
     this._flushing = false;
     updateNetStatus();
-    if (!this.list.length) {
+    const mine = this.mine();
+    if (!mine.length && !failedNet) {
       this._retryCount = 0;
       this.clearSchedule();
-      toast("Offline changes synced");
-      if (Session?.data?.role) {
+      if (sent) toast("Offline changes synced");
+      if (sent && Session?.data?.role) {
         await UI.route();
       }
       return;
     }
+    const attention = mine.filter(i => this.held(i)).length;
+    if (attention && !failedNet) {
+      toast(`${sent ? `Synced ${sent}. ` : ""}${attention} queued change${attention === 1 ? " needs" : "s need"} attention.`);
+    }
+    if (sent && Session?.data?.role) await UI.route();
     // still pending
     if (navigator.onLine && failedNet) {
       this._retryCount = Math.min(this._retryCount + 1, 6);
       this.scheduleFlush();
     }
+  },
+
+  /* Per-item actions from the pending-sync panel */
+  find(id) { return this.list.find(i => i.id === id) || null; },
+  busy() {
+    if (this._flushing) toast("Sync in progress. Try again in a moment.");
+    return this._flushing;
+  },
+  afterChange(item) {
+    if (item?.type === "report.create" && Session?.data?.role === "user") Reports.refreshUserTable();
+  },
+  // force skips the conflict check: "send anyway"
+  retry(id, force = false) {
+    const item = this.find(id);
+    if (!item || this.busy()) return;
+    const { error, failedAt, conflict, ...rest } = item;
+    this.list = this.list.map(i => i.id === id ? { ...rest, force: force || undefined } : i);
+    this.save();
+    this.flush(true);
+  },
+  edit(id, changes) {
+    const item = this.find(id);
+    if (!item || this.busy()) return;
+    const { error, failedAt, conflict, ...rest } = item;
+    const next = { ...rest, payload: { ...item.payload, ...changes }, editedAt: now() };
+    // A retargeted action needs a fresh baseline for conflict checks
+    if (changes.reportId != null && String(changes.reportId) !== String(item.payload?.reportId)) {
+      const known = this.knownReport(changes.reportId);
+      next.base = known ? { status: statusKey(known.status), updatedAt: known.updatedAt || null } : undefined;
+    }
+    this.list = this.list.map(i => i.id === id ? next : i);
+    this.save();
+    this.afterChange(next);
+    if (navigator.onLine) this.scheduleFlush();
+  },
+  discard(id) {
+    const item = this.find(id);
+    if (!item || this.busy()) return;
+    Media.discard(item.payload);
+    this.list = this.list.filter(i => i.id !== id);
+    this.save();
+    this.afterChange(item);
+  }
+};
+
+/* ---------------- Background sync (Android WorkManager via NativeSync) ---------------- */
+// The native side keeps a copy of the sendable queue and replays it with the app closed.
+// Its results come back here on the next launch (or resume) and are folded into the queue.
+const BackgroundSync = {
+  available() { return !!(window.NativeSync && NativeSync.setPending); },
+  publish() {
+    if (!this.available()) return;
+    const items = [];
+    const tokens = {};
+    const published = new Set();
+    OfflineQueue.list.forEach(item => {
+      const path = OfflineQueue.path(item);
+      const token = savedTokenFor(item.owner);
+      if (!path || !token || OfflineQueue.held(item)) return;
+      // A follow-up to a queued report only goes if the worker can create that report first
+      const rid = String(item.payload?.reportId ?? "");
+      if (rid.startsWith("q_") && !published.has(rid)) return;
+      published.add(item.id);
+      tokens[item.owner] = token;
+      items.push({
+        id: item.id, owner: item.owner, type: item.type, path, body: item.payload, createdAt: item.createdAt,
+        expect: OfflineQueue.expectedStatuses(item)
+      });
+    });
+    try {
+      NativeSync.setPending(JSON.stringify({ base: API_BASE, items, tokens }));
+    } catch (e) {
+      nativeLog(`background sync publish failed: ${e?.message || e}`);
+    }
+  },
+  // Returns how many queued items the worker delivered
+  collect() {
+    if (!this.available()) return 0;
+    let results = [];
+    try { results = JSON.parse(NativeSync.takeResults() || "[]"); } catch (_) {}
+    if (!results.length) return 0;
+    let synced = 0;
+    results.forEach(r => {
+      const item = OfflineQueue.find(r.id);
+      if (!item) return; // already sent from the WebView
+      if (r.ok) {
+        if (item.type === "report.create") OfflineQueue.reconcile(item, r.response);
+        Media.discard(item.payload);
+        OfflineQueue.list = OfflineQueue.list.filter(i => i.id !== r.id);
+        synced++;
+        return;
+      }
+      // Keep the worker's copy of the payload: its media is already uploaded
+      const next = { ...item, payload: r.body || item.payload };
+      if (r.body) Media.discard(item.payload);
+      if (r.status === 409) next.conflict = { reason: r.error || "Conflicts with a newer change", serverStatus: r.serverStatus ?? null, at: r.at || now() };
+      else { next.error = r.error || `HTTP ${r.status}`; next.failedAt = r.at || now(); }
+      OfflineQueue.list = OfflineQueue.list.map(i => i.id === r.id ? next : i);
+    });
+    OfflineQueue.save();
+    if (synced) {
+      setLastSync();
+      toast(`${synced} offline change${synced === 1 ? "" : "s"} synced in the background`);
+    }
+    return synced;
   }
 };
 
@@ -562,15 +1093,470 @@ async function compressImage(file, maxW = 1280, maxH = 1280, quality = 0.7) {
   });
 }
 
+/* ---------------- Media (uploaded separately, referenced by id/URL) ---------------- */
+// A media field "x" travels as xMedia: [{ kind, id, url, thumbUrl }] once uploaded, or
+// [{ kind, blobId, thumb }] while parked offline. The first photo is mirrored to
+// xId / xUrl / xThumbUrl for older clients. Older rows still carry xBase64.
+const Media = {
+  fields: ["photo", "proof"],
+  thumbPx: 240,
+  maxPhotos: 6,
+  maxVideoSec: 30,
+  // Clips travel and park as base64 (a third larger): small enough to cross the native bridge as
+  // one string, or to fit localStorage's ~5 MB when there's no native blob store
+  maxVideoBytes: Blobs.hasNative ? 8 * 1024 * 1024 : 2 * 1024 * 1024,
+  dataUrlToBlob(dataUrl) {
+    const [head, body] = String(dataUrl).split(",");
+    const mime = (head.match(/^data:([^;]+)/) || [])[1] || "image/jpeg";
+    const bin = atob(body || "");
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return new Blob([bytes], { type: mime });
+  },
+  readDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const fr = new FileReader();
+      fr.onload = () => resolve(fr.result);
+      fr.onerror = reject;
+      fr.readAsDataURL(file);
+    });
+  },
+  thumbnail(dataUrl) {
+    return compressImage(this.dataUrlToBlob(dataUrl), this.thumbPx, this.thumbPx, 0.6);
+  },
+  // Duration + a poster frame for a picked clip
+  probeVideo(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const video = document.createElement("video");
+      video.muted = true;
+      video.preload = "metadata";
+      const done = (fn, v) => { URL.revokeObjectURL(url); fn(v); };
+      video.onloadedmetadata = () => { video.currentTime = Math.min(0.5, (video.duration || 1) / 2); };
+      video.onseeked = () => {
+        const ratio = Math.min(this.thumbPx / video.videoWidth, this.thumbPx / video.videoHeight, 1);
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(video.videoWidth * ratio) || this.thumbPx;
+        canvas.height = Math.round(video.videoHeight * ratio) || this.thumbPx;
+        canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+        done(resolve, { duration: video.duration, poster: canvas.toDataURL("image/jpeg", 0.6) });
+      };
+      video.onerror = () => done(reject, new Error("Could not read video"));
+      video.src = url;
+    });
+  },
+  // Compresses photos one by one and checks clips; returns items ready for attach()
+  async prepare(files, { maxW = 1600, quality = 0.85 } = {}) {
+    const items = [];
+    for (const f of files) {
+      if (/^video\//i.test(f.type)) {
+        if (f.size > this.maxVideoBytes) {
+          throw new Error(`Video is too large (max ${Math.round(this.maxVideoBytes / 1048576)} MB). Record a shorter or lower-quality clip.`);
+        }
+        const info = await this.probeVideo(f);
+        if (info.duration > this.maxVideoSec + 0.5) throw new Error(`Video must be ${this.maxVideoSec}s or shorter`);
+        items.push({ kind: "video", dataUrl: await this.readDataUrl(f), thumb: info.poster });
+      } else {
+        const dataUrl = await compressImage(f, maxW, maxW, quality);
+        items.push({ kind: "image", dataUrl, thumb: await this.thumbnail(dataUrl), takenAt: f.lastModified || null });
+      }
+    }
+    return items;
+  },
+  async upload(item, field, options = {}) {
+    const form = new FormData();
+    const ext = item.kind === "video" ? ((item.dataUrl.match(/^data:video\/(\w+)/) || [])[1] || "mp4") : "jpg";
+    form.append("kind", field);
+    form.append("mediaType", item.kind);
+    form.append("file", this.dataUrlToBlob(item.dataUrl), `${field}.${ext}`);
+    form.append("thumb", this.dataUrlToBlob(item.thumb || await this.thumbnail(item.dataUrl)), `${field}-thumb.jpg`);
+    const res = await apiUpload("/media", form, options);
+    return { kind: item.kind, id: res.id, url: res.url, thumbUrl: res.thumbUrl || res.url };
+  },
+  park(dataUrl) {
+    const id = `b_${Date.now()}_${uid()}`;
+    if (!Blobs.put(id, dataUrl)) throw new Error("Could not save attachment on this device");
+    return id;
+  },
+  withPrimary(payload, field) {
+    const first = (payload[`${field}Media`] || []).find(m => m.kind === "image");
+    if (!first) return payload;
+    if (first.blobId) return { ...payload, [`${field}Thumb`]: first.thumb };
+    return { ...payload, [`${field}Id`]: first.id, [`${field}Url`]: first.url, [`${field}ThumbUrl`]: first.thumbUrl };
+  },
+  // Uploads now if we can, otherwise parks each attachment in the blob store for OfflineQueue
+  async attach(payload, field, items) {
+    if (!items || !items.length) return payload;
+    const list = [];
+    let offline = !navigator.onLine;
+    for (const item of items) {
+      if (!offline) {
+        try {
+          list.push(await this.upload(item, field));
+          continue;
+        } catch (e) {
+          if (!isNetworkError(e)) throw e;
+          offline = true;
+        }
+      }
+      list.push({ kind: item.kind, blobId: this.park(item.dataUrl), thumb: item.thumb || null });
+    }
+    return this.withPrimary({ ...payload, [`${field}Media`]: list }, field);
+  },
+  parked(payload) {
+    return !!payload && this.fields.some(f =>
+      payload[`${f}BlobId`] || (payload[`${f}Media`] || []).some(m => m.blobId));
+  },
+  // Before replaying a queued item: upload parked blobs and swap in media refs.
+  // key (the queue id) makes each blob's upload idempotent across retries; token is the owner's.
+  // save(payload) is called after every upload so a later failure can't lose the refs already made;
+  // a blob is only dropped once its ref has been saved.
+  async resolve(payload, { key = null, token = null, save = null } = {}) {
+    let out = payload;
+    const sent = [];
+    for (const f of this.fields) {
+      const blobId = out[`${f}BlobId`];
+      if (blobId) {
+        // single photo migrated from an older queue
+        const dataUrl = Blobs.get(blobId);
+        out = { ...out };
+        delete out[`${f}BlobId`];
+        if (dataUrl) out[`${f}Media`] = [{ kind: "image", blobId, thumb: null, dataUrl }];
+      }
+      const list = out[`${f}Media`];
+      if (!list || !list.some(m => m.blobId)) continue;
+      const current = list.map(({ dataUrl, ...m }) => m);
+      for (let i = 0; i < list.length; i++) {
+        const m = list[i];
+        if (!m.blobId) continue;
+        const dataUrl = m.dataUrl || Blobs.get(m.blobId);
+        current[i] = dataUrl ? await this.upload({ kind: m.kind, dataUrl, thumb: m.thumb }, f, {
+          idempotencyKey: key ? `${key}.${m.blobId}` : null,
+          token
+        }) : null;
+        out = { ...out, [`${f}Media`]: current.filter(Boolean) };
+        if (save) {
+          save(this.withPrimary(out, f));
+          Blobs.remove(m.blobId);
+        } else {
+          sent.push(m.blobId);
+        }
+      }
+      delete out[`${f}Thumb`];
+      out = this.withPrimary(out, f);
+    }
+    // Without a save hook the caller still holds the old payload until we return
+    sent.forEach(id => Blobs.remove(id));
+    return out;
+  },
+  // Drops blobs parked for a queued item that will never be sent
+  discard(payload) {
+    if (!payload) return;
+    this.fields.forEach(f => {
+      Blobs.remove(payload[`${f}BlobId`]);
+      (payload[`${f}Media`] || []).forEach(m => Blobs.remove(m.blobId));
+    });
+  },
+  // Primary image for a row: thumbnail for lists, full size for modals
+  src(r, field, thumb = false) {
+    if (!r) return null;
+    const url = (thumb && (r[`${field}ThumbUrl`] || r[`${field}Thumb`])) || r[`${field}Url`] || r[`${field}Base64`];
+    if (url && /^(https?:|data:image\/|blob:)/i.test(url)) return url;
+    const first = (r[`${field}Media`] || []).find(m => m.kind === "image");
+    if (first) return thumb ? (first.thumbUrl || first.thumb) : (first.url || Blobs.get(first.blobId));
+    return Blobs.get(r[`${field}BlobId`]) || (thumb ? null : r[`${field}Thumb`] || null);
+  },
+  // Every attachment on a row, for galleries: [{ kind, thumb, url }]
+  items(r, field) {
+    const list = (r && r[`${field}Media`]) || [];
+    if (list.length) {
+      return list
+        .map(m => ({ kind: m.kind || "image", thumb: m.thumbUrl || m.thumb || null, url: m.url || Blobs.get(m.blobId) }))
+        .filter(m => m.url);
+    }
+    const url = this.src(r, field);
+    return url ? [{ kind: "image", thumb: this.src(r, field, true), url }] : [];
+  }
+};
+
+/* ---------------- On-device waste type guess (colour/texture heuristic) ---------------- */
+// Not a trained model: a cheap first guess so offline reports carry a category.
+// The server's detector still has the final say; we only send this as a hint.
+const Classifier = {
+  model: "heuristic-v1",
+  size: 64,
+  maxConfidence: 0.8,
+  labels: ["plastic", "paper", "glass", "metal", "organic", "e-waste", "styrofoam", "general"],
+
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = src;
+    });
+  },
+
+  // Fractions of pixels in a few colour bands, plus edge density and colourfulness
+  features(data, w, h) {
+    const n = w * h;
+    const f = { green: 0, brown: 0, white: 0, gray: 0, dark: 0, vivid: 0, blue: 0, shine: 0, edges: 0, colorful: 0 };
+    const lum = new Float32Array(n);
+    let rgSum = 0, ybSum = 0, rgSq = 0, ybSq = 0;
+    for (let i = 0; i < n; i++) {
+      const r = data[i * 4] / 255, g = data[i * 4 + 1] / 255, b = data[i * 4 + 2] / 255;
+      const max = Math.max(r, g, b), min = Math.min(r, g, b), d = max - min;
+      const v = max, s = max ? d / max : 0;
+      let hue = 0;
+      if (d) {
+        if (max === r) hue = 60 * (((g - b) / d) % 6);
+        else if (max === g) hue = 60 * ((b - r) / d + 2);
+        else hue = 60 * ((r - g) / d + 4);
+        if (hue < 0) hue += 360;
+      }
+      lum[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+      if (v < 0.2) f.dark++;
+      else if (s < 0.12 && v > 0.8) f.white++;
+      else if (s < 0.15) f.gray++;
+      else if (hue >= 70 && hue <= 160 && s > 0.25) f.green++;
+      else if (hue >= 15 && hue <= 45 && s <= 0.75 && v <= 0.75) f.brown++;
+      else if (hue >= 170 && hue <= 230 && s > 0.2) f.blue++;
+      // Saturated greens are usually foliage, so they only half-count as packaging colour
+      if (s > 0.55 && v > 0.4) f.vivid += (hue >= 70 && hue <= 160) ? 0.5 : 1;
+      if (v > 0.93 && s < 0.1) f.shine++;
+      const rg = r - g, yb = (r + g) / 2 - b;
+      rgSum += rg; ybSum += yb; rgSq += rg * rg; ybSq += yb * yb;
+    }
+    let grad = 0;
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const i = y * w + x;
+        grad += Math.abs(lum[i + 1] - lum[i - 1]) + Math.abs(lum[i + w] - lum[i - w]);
+      }
+    }
+    ["green", "brown", "white", "gray", "dark", "vivid", "blue", "shine"].forEach(k => { f[k] /= n; });
+    f.edges = Math.min(1, grad / ((w - 2) * (h - 2)) / 0.25);
+    const sd = Math.sqrt(Math.max(0, rgSq / n - (rgSum / n) ** 2) + Math.max(0, ybSq / n - (ybSum / n) ** 2));
+    const mean = Math.sqrt((rgSum / n) ** 2 + (ybSum / n) ** 2);
+    f.colorful = Math.min(1, (sd + 0.3 * mean) / 0.4);
+    return f;
+  },
+
+  scores(f) {
+    return {
+      organic: 2.6 * f.green + 1.6 * f.brown + 0.6 * f.dark - 1.4 * f.white - 0.6 * f.vivid,
+      paper: 1.8 * f.brown + 1.1 * f.white + 0.6 * (1 - f.edges) - 1.2 * f.green - 0.8 * f.vivid,
+      plastic: 2.2 * f.vivid + 1.2 * f.blue + 0.7 * f.colorful + 0.4 * f.shine - 0.8 * f.brown,
+      glass: 1.8 * f.shine + 0.9 * f.blue + 0.5 * f.green + 0.4 * f.gray - 0.8 * f.vivid,
+      metal: 2.0 * f.gray + 1.0 * f.shine + 0.6 * f.edges - 1.0 * f.vivid - 1.0 * f.green,
+      "e-waste": 1.6 * f.dark + 1.2 * f.edges + 0.3 * f.vivid - 1.0 * f.green - 0.6 * f.white,
+      styrofoam: 3.0 * f.white - 1.0 * f.edges - 1.0 * f.vivid - 0.6 * f.brown,
+      general: 0.45 + 0.5 * f.edges * f.colorful
+    };
+  },
+
+  softmax(scores, temp = 0.25) {
+    const keys = Object.keys(scores);
+    const top = Math.max(...keys.map(k => scores[k]));
+    const exp = keys.map(k => Math.exp((scores[k] - top) / temp));
+    const sum = exp.reduce((a, b) => a + b, 0);
+    const out = {};
+    keys.forEach((k, i) => { out[k] = exp[i] / sum; });
+    return out;
+  },
+
+  async classify(src) {
+    const img = await this.loadImage(src);
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = this.size;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(img, 0, 0, this.size, this.size);
+    const { data } = ctx.getImageData(0, 0, this.size, this.size);
+    return this.softmax(this.scores(this.features(data, this.size, this.size)));
+  },
+
+  // Averages per-photo probabilities; returns { type, confidence, model } or null
+  async suggest(sources) {
+    const probs = [];
+    for (const src of sources) {
+      try { probs.push(await this.classify(src)); } catch (_) {}
+    }
+    if (!probs.length) return null;
+    const avg = {};
+    this.labels.forEach(k => { avg[k] = probs.reduce((s, p) => s + (p[k] || 0), 0) / probs.length; });
+    const type = this.labels.reduce((a, b) => avg[b] > avg[a] ? b : a);
+    const confidence = Math.round(Math.min(this.maxConfidence, avg[type]) * 100) / 100;
+    return { type, confidence, model: this.model };
+  }
+};
+
+/* ---------------- Map helpers (status colours + clustering) ---------------- */
+const MAP_STATUSES = ["NEW", "ASSIGNED", "IN_PROGRESS", "VERIFICATION_PENDING", "RESOLVED", "QUEUED"];
+const STATUS_COLORS = {
+  NEW: "#64748b",
+  ASSIGNED: "#f59e0b",
+  IN_PROGRESS: "#0ea5e9",
+  VERIFICATION_PENDING: "#8b5cf6",
+  RESOLVED: "#10b981",
+  QUEUED: "#6366f1"
+};
+
+function statusKey(st) {
+  const k = String(st || "NEW").toUpperCase();
+  return STATUS_COLORS[k] ? k : "NEW";
+}
+
+// Great-circle distance in metres (haversine)
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = d => Number(d) * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function formatDistance(m) {
+  if (!Number.isFinite(m)) return "-";
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+// Promise wrapper around the WebView geolocation API
+function currentPosition(timeoutMs = 15000) {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) return reject(new Error("Geolocation not supported"));
+    navigator.geolocation.getCurrentPosition(
+      p => resolve({ lat: p.coords.latitude, lng: p.coords.longitude, accuracy: p.coords.accuracy }),
+      () => reject(new Error("Location permission denied")),
+      { enableHighAccuracy: true, timeout: timeoutMs, maximumAge: 30000 }
+    );
+  });
+}
+
+// Grid-based clustering in screen pixels at the given zoom (no plugin needed).
+function clusterByPixel(map, rows, zoom, cellPx = 64) {
+  const cells = new Map();
+  rows.forEach(r => {
+    const pt = map.project([Number(r.lat), Number(r.lng)], zoom);
+    const key = `${Math.floor(pt.x / cellPx)}:${Math.floor(pt.y / cellPx)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(r);
+  });
+  return Array.from(cells.values());
+}
+
+// Canvas density layer on plain Leaflet: stamp a blurred dot per point, then
+// colour the accumulated alpha through a blue-lime-yellow-red palette.
+let HeatLayer = null;
+function heatLayer(points = [], opts = {}) {
+  if (!HeatLayer) {
+    HeatLayer = L.Layer.extend({
+      initialize(pts, o) {
+        this._points = pts;
+        this._radius = o.radius || 22;
+        this._blur = o.blur || 16;
+      },
+      setPoints(pts) {
+        this._points = pts;
+        if (this._map) this._redraw();
+        return this;
+      },
+      onAdd(map) {
+        this._canvas = L.DomUtil.create("canvas", "heat-layer leaflet-zoom-hide");
+        map.getPanes().overlayPane.appendChild(this._canvas);
+        map.on("moveend zoomend resize", this._redraw, this);
+        this._redraw();
+      },
+      onRemove(map) {
+        map.off("moveend zoomend resize", this._redraw, this);
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+      },
+      _stamp() {
+        if (this._dot) return this._dot;
+        const r = this._radius + this._blur;
+        const c = document.createElement("canvas");
+        c.width = c.height = r * 2;
+        const ctx = c.getContext("2d");
+        ctx.shadowOffsetX = ctx.shadowOffsetY = r * 2;
+        ctx.shadowBlur = this._blur;
+        ctx.shadowColor = "black";
+        ctx.beginPath();
+        ctx.arc(-r, -r, this._radius, 0, Math.PI * 2, true);
+        ctx.fill();
+        this._dot = c;
+        return c;
+      },
+      _palette() {
+        if (this._grad) return this._grad;
+        const c = document.createElement("canvas");
+        c.width = 1; c.height = 256;
+        const ctx = c.getContext("2d");
+        const g = ctx.createLinearGradient(0, 0, 0, 256);
+        g.addColorStop(0.4, "blue");
+        g.addColorStop(0.6, "cyan");
+        g.addColorStop(0.7, "lime");
+        g.addColorStop(0.8, "yellow");
+        g.addColorStop(1.0, "red");
+        ctx.fillStyle = g;
+        ctx.fillRect(0, 0, 1, 256);
+        this._grad = ctx.getImageData(0, 0, 1, 256).data;
+        return this._grad;
+      },
+      _redraw() {
+        const map = this._map;
+        const canvas = this._canvas;
+        if (!map || !canvas) return;
+        const size = map.getSize();
+        canvas.width = size.x;
+        canvas.height = size.y;
+        L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(0, 0, size.x, size.y);
+        if (!this._points.length) return;
+
+        // Normalise against the densest screen cell so hotspots saturate at any zoom
+        const cell = this._radius;
+        const counts = new Map();
+        const pts = [];
+        this._points.forEach(([lat, lng]) => {
+          const p = map.latLngToContainerPoint([lat, lng]);
+          if (p.x < -cell || p.y < -cell || p.x > size.x + cell || p.y > size.y + cell) return;
+          const key = `${Math.floor(p.x / cell)}:${Math.floor(p.y / cell)}`;
+          counts.set(key, (counts.get(key) || 0) + 1);
+          pts.push(p);
+        });
+        if (!pts.length) return;
+        const max = Math.max(2, ...counts.values());
+        const dot = this._stamp();
+        const r = this._radius + this._blur;
+        ctx.globalAlpha = Math.min(1, Math.max(0.08, 1.5 / max));
+        pts.forEach(p => ctx.drawImage(dot, p.x - r, p.y - r));
+
+        const img = ctx.getImageData(0, 0, size.x, size.y);
+        const px = img.data;
+        const pal = this._palette();
+        for (let i = 3; i < px.length; i += 4) {
+          const a = px[i];
+          if (!a) continue;
+          const j = a * 4;
+          px[i - 3] = pal[j];
+          px[i - 2] = pal[j + 1];
+          px[i - 1] = pal[j + 2];
+          px[i] = Math.min(220, a + 40);
+        }
+        ctx.putImageData(img, 0, 0);
+      }
+    });
+  }
+  return new HeatLayer(points, opts);
+}
+
 /* ---------------- Session ---------------- */
 const Session = {
   data: Store.get("session", null),
   save() { Store.set("session", this.data); UI.sync(); UI.route(); },
   clear() { this.data = null; Store.remove("session"); setJWT(null); UI.sync(); UI.route(); }
 };
-if (Session.data && JWT && !isJwtExpired(JWT)) {
-  rememberSession(Session.data, JWT);
-}
 
 /* ---------------- Auth (Render API) ---------------- */
 const Auth = {
@@ -668,88 +1654,873 @@ const Vendors = {
     }
     this.populateSelect();
   },
-  populateSelect() {
-    const sel = $("#aVendor");
-    if (!sel) return;
-    sel.textContent = "";
-    if (!this.cache || !this.cache.length) {
-      const opt = document.createElement("option");
-      opt.value = "";
-      opt.textContent = "No vendors";
-      sel.appendChild(opt);
-      return;
+  // Open ASSIGNED/IN_PROGRESS tasks per vendor; prefers a server-provided count.
+  openLoad(v) {
+    if (Number.isFinite(Number(v.openTasks))) return Number(v.openTasks);
+    const id = String(v.id ?? "");
+    return (Reports._adminRows || []).filter(r => {
+      const st = String(r.status || "").toUpperCase();
+      return String(r.assignedVendorId || "") === id && (st === "ASSIGNED" || st === "IN_PROGRESS");
+    }).length;
+  },
+  // Citizen reopens attributed to the vendor who last closed the report
+  reopenCount(v) {
+    if (Number.isFinite(Number(v.reopenedCount))) return Number(v.reopenedCount);
+    const id = String(v.id ?? "");
+    return (Reports._adminRows || [])
+      .filter(r => String(r.lastVendorId || r.assignedVendorId || "") === id)
+      .reduce((n, r) => n + (Number(r.reopenCount) || 0), 0);
+  },
+  // Distance from the report to the vendor's service area (0 inside the radius).
+  areaDistance(v, lat, lng) {
+    const area = v.serviceArea || v;
+    const vLat = Number(area.lat), vLng = Number(area.lng);
+    if (!Number.isFinite(vLat) || !Number.isFinite(vLng)) return null;
+    const radius = Number(area.radiusM ?? (area.radiusKm != null ? area.radiusKm * 1000 : 0)) || 0;
+    return Math.max(0, distanceMeters(lat, lng, vLat, vLng) - radius);
+  },
+  rank(report) {
+    const type = String(report?.wasteType || "").toLowerCase();
+    const lat = Number(report?.lat), lng = Number(report?.lng);
+    const hasLoc = Number.isFinite(lat) && Number.isFinite(lng);
+    return (this.cache || []).map(v => {
+      const vType = String(v.wasteType || "general").toLowerCase();
+      const reasons = [];
+      let score = 0;
+      if (type && vType === type) { score += 100; reasons.push("type match"); }
+      else if (vType === "general") { score += 40; reasons.push("general"); }
+      else reasons.push("type mismatch");
+
+      const dist = hasLoc ? this.areaDistance(v, lat, lng) : null;
+      if (dist != null) {
+        score -= Math.min(60, dist / 250);
+        reasons.push(dist === 0 ? "in area" : formatDistance(dist));
+      }
+
+      const load = this.openLoad(v);
+      score -= load * 8;
+      reasons.push(`${load} open`);
+      return { vendor: v, score, reasons };
+    }).sort((a, b) => b.score - a.score);
+  },
+  // Typing a report ID re-ranks the assign picker only, once the admin pauses
+  rerankForReport() {
+    clearTimeout(this._rankTimer);
+    this._rankTimer = setTimeout(() => this.populateSelect(["#aVendor"]), 250);
+  },
+  populateSelect(selects = ["#aVendor", "#aBulkVendor"]) {
+    const reportId = ($("#aReportId")?.value || "").trim();
+    const report = reportId ? (Reports._adminRows || []).find(r => String(r.id) === reportId) : null;
+    const ranked = report ? this.rank(report) : null;
+    const hint = $("#aVendorHint");
+    if (hint) {
+      hint.textContent = ranked && ranked.length
+        ? `Suggested: ${ranked[0].vendor.name ?? ranked[0].vendor.id} (${ranked[0].reasons.join(", ")})`
+        : "";
     }
-    this.cache.forEach(v => {
-      const opt = document.createElement("option");
-      opt.value = String(v.id ?? "");
-      const tag = v.wasteType ? `${v.wasteType}` : "general";
-      opt.textContent = `${v.name ?? ""} (${tag})`.trim();
-      sel.appendChild(opt);
+
+    selects.forEach(s => {
+      const sel = $(s);
+      if (!sel) return;
+      const picked = sel.value;
+      sel.textContent = "";
+      if (!this.cache || !this.cache.length) {
+        const opt = document.createElement("option");
+        opt.value = "";
+        opt.textContent = "No vendors";
+        sel.appendChild(opt);
+        return;
+      }
+      const items = (s === "#aVendor" && ranked) ? ranked : this.cache.map(vendor => ({ vendor, reasons: null }));
+      items.forEach(({ vendor: v, reasons }) => {
+        const opt = document.createElement("option");
+        opt.value = String(v.id ?? "");
+        const tag = v.wasteType ? `${v.wasteType}` : "general";
+        const reopened = this.reopenCount(v);
+        const extra = [...(reasons || []), ...(reopened ? [`${reopened} reopened`] : [])];
+        opt.textContent = `${v.name ?? ""} (${tag})`.trim() + (extra.length ? ` - ${extra.join(", ")}` : "");
+        sel.appendChild(opt);
+      });
+      // Re-ranking reorders the list; it shouldn't undo a vendor the admin already chose
+      if (picked && items.some(({ vendor: v }) => String(v.id ?? "") === picked)) sel.value = picked;
     });
   }
 };
 
-/* ---------------- Reports (Render API) ---------------- */
-const Reports = {
-  _userRows: [],
-  _userLimit: 5,
-  _userStep: 5,
-  _adminRows: [],
-  _adminLimit: 5,
-  _adminStep: 5,
-  fileToDataUrl(file) {
-    return new Promise((res, rej) => {
-      const fr = new FileReader();
-      fr.onload = () => res(fr.result);
-      fr.onerror = rej;
-      fr.readAsDataURL(file);
+/* ---------------- SLA targets ---------------- */
+// Targets are shared by every admin device: the server copy wins, and an edit made
+// offline is kept locally (marked dirty) until it can be sent.
+const SLA = {
+  key: "slaTargets",
+  // Hours from report creation to completion, per waste type
+  defaults: {
+    organic: 24,
+    "e-waste": 72,
+    plastic: 48,
+    paper: 48,
+    glass: 48,
+    metal: 72,
+    styrofoam: 72,
+    general: 48
+  },
+  // Response-time stages: hours from creation to assignment, and from assignment to the vendor's check-in
+  stageDefaults: { assign: 4, start: 24 },
+  stageLabels: { assign: "Assign", start: "Start", complete: "Complete" },
+  stored() {
+    const raw = Store.get(this.key, {}) || {};
+    // Older builds kept a flat { wasteType: hours } map
+    return raw.types || raw.stages ? raw : { types: raw, stages: {} };
+  },
+  clean(map) {
+    const clean = {};
+    Object.keys(map || {}).forEach(k => {
+      const h = Number(map[k]);
+      if (Number.isFinite(h) && h > 0) clean[k] = h;
     });
+    return clean;
   },
-  useMyLocation() {
-    if (!navigator.geolocation) return toast("Geolocation not supported");
-    navigator.geolocation.getCurrentPosition(p => {
-      $("#rLat").value = p.coords.latitude.toFixed(6);
-      $("#rLng").value = p.coords.longitude.toFixed(6);
-      UI.mapPickSet([p.coords.latitude, p.coords.longitude], true);
-      reverseGeocode(p.coords.latitude, p.coords.longitude).then(addr=>{ window.__geoAddr = addr || null; UI.setAddress(addr); });
-    }, () => toast("Location permission denied"));
+  targets() {
+    return { ...this.defaults, ...this.stored().types };
   },
-  async submit() {
+  stageTargets() {
+    return { ...this.stageDefaults, ...this.stored().stages };
+  },
+  // Saves locally first; resolves false when the server copy has to wait for a connection
+  async setTargets(types, stages) {
+    Store.set(this.key, { types: this.clean(types), stages: this.clean(stages), updatedAt: now(), dirty: true });
+    return this.push();
+  },
+  async push() {
+    const cur = this.stored();
+    if (!cur.dirty) return true;
     try {
-      nativeLog("Submit report: start");
-      const s = Session.data; if (!s || s.role !== "user") return toast("Login as user first");
-      const title = $("#rTitle").value.trim();
-      if (!title) return toast("Add a title");
+      await api("/settings/sla", "PUT", { types: cur.types, stages: cur.stages, updatedAt: cur.updatedAt });
+    } catch (e) {
+      if (isNetworkError(e)) return false;
+      // The server refused the edit; resending it won't help, so drop it and go back to the server's copy
+      if (this.stored().updatedAt === cur.updatedAt) {
+        Store.set(this.key, { ...cur, dirty: false });
+        await this.pull().catch(() => {});
+      }
+      throw e;
+    }
+    // Only clear the flag if nothing was edited while the request was in flight
+    if (this.stored().updatedAt === cur.updatedAt) Store.set(this.key, { ...cur, dirty: false });
+    return true;
+  },
+  async pull() {
+    const remote = await api("/settings/sla");
+    if (remote && typeof remote === "object") {
+      Store.set(this.key, { types: this.clean(remote.types), stages: this.clean(remote.stages), updatedAt: remote.updatedAt || null });
+    }
+  },
+  async refresh() {
+    if (!navigator.onLine) return;
+    if (Session.data?.role === "admin") {
+      try {
+        await this.push();
+      } catch (e) {
+        toast(`The server rejected the SLA targets saved on this device (${e?.message || e}). Using the server's targets instead.`);
+        return;
+      }
+    }
+    try {
+      if (this.stored().dirty) return;
+      await this.pull();
+    } catch (_) {
+      // No endpoint or a flaky network: keep the last copy we had
+    }
+  },
+  targetHours(wasteType) {
+    const t = this.targets();
+    const k = String(wasteType || "general").toLowerCase();
+    return t[k] ?? t.general;
+  },
+  time(v) {
+    const t = v ? new Date(v).getTime() : NaN;
+    return Number.isNaN(t) ? null : t;
+  },
+  // One stage's clock; null when it hasn't begun or its end time is unknown
+  stage(from, to, running, hours) {
+    if (from == null || (to == null && !running)) return null;
+    const elapsedMs = Math.max(0, (to ?? Date.now()) - from);
+    const targetMs = hours * 3600000;
+    return { done: to != null, elapsedMs, targetMs, remainingMs: targetMs - elapsedMs, breached: elapsedMs > targetMs };
+  },
+  info(r) {
+    const created = this.time(r.createdAt);
+    if (created == null) return null;
+    const st = String(r.status || "").toUpperCase();
+    const done = st === "RESOLVED" || st === "VERIFICATION_PENDING";
+    const assigned = this.time(r.assignedAt);
+    const started = this.time(r.startedAt || r.checkedInAt);
+    const end = done ? this.time(r.resolvedAt || r.completedAt || r.updatedAt) : null;
+    const hours = this.stageTargets();
+    const stages = {
+      assign: this.stage(created, assigned, st === "NEW" || st === "", hours.assign),
+      start: this.stage(assigned, started, st === "ASSIGNED", hours.start),
+      complete: this.stage(created, done ? (end ?? Date.now()) : null, true, this.targetHours(r.wasteType))
+    };
+    // The clock that matters now: the completion clock once done, else whichever open stage runs out first
+    let stage = "complete";
+    if (!done) {
+      Object.keys(stages).forEach(k => {
+        const s = stages[k];
+        if (s && !s.done && s.remainingMs < stages[stage].remainingMs) stage = k;
+      });
+    }
+    const cur = stages[stage];
+    return {
+      done,
+      stage,
+      stages,
+      elapsedMs: cur.elapsedMs,
+      targetMs: cur.targetMs,
+      remainingMs: cur.remainingMs,
+      breached: Object.values(stages).some(s => s?.breached)
+    };
+  },
+  breached(r) { return !!this.info(r)?.breached; },
+  overdueMs(r) {
+    const i = this.info(r);
+    return i ? -i.remainingMs : -Infinity;
+  },
+  fmt(ms) {
+    const h = Math.abs(ms) / 3600000;
+    if (h < 1) return `${Math.max(1, Math.round(h * 60))}m`;
+    if (h < 48) return `${Math.round(h)}h`;
+    return `${Math.round(h / 24)}d`;
+  },
+  chip(r) {
+    const i = this.info(r);
+    if (!i) return null;
+    const el = document.createElement("span");
+    el.className = "sla-chip";
+    const what = i.stage === "complete" ? "" : `${this.stageLabels[i.stage]} `;
+    if (i.done) {
+      el.textContent = i.breached ? `SLA missed (${this.fmt(i.elapsedMs)})` : `SLA met (${this.fmt(i.elapsedMs)})`;
+      el.classList.add(i.breached ? "sla-breached" : "sla-ok");
+    } else if (i.remainingMs < 0) {
+      el.textContent = what ? `${what}overdue ${this.fmt(i.remainingMs)}` : `Overdue ${this.fmt(i.remainingMs)}`;
+      el.classList.add("sla-breached");
+    } else {
+      el.textContent = `${this.fmt(i.remainingMs)} left${what ? ` to ${what.trim().toLowerCase()}` : ""}`;
+      // A stage already missed still counts against the report
+      el.classList.add(i.breached ? "sla-breached" : i.remainingMs < i.targetMs * 0.25 ? "sla-warn" : "sla-ok");
+    }
+    el.title = Object.keys(i.stages)
+      .filter(k => i.stages[k])
+      .map(k => `${this.stageLabels[k]}: ${this.fmt(i.stages[k].elapsedMs)} of ${this.fmt(i.stages[k].targetMs)}${i.stages[k].breached ? " (missed)" : ""}`)
+      .join(" · ");
+    return el;
+  }
+};
+
+/* ---------------- Analytics (computed client-side) ---------------- */
+const Analytics = {
+  median(list) {
+    const a = list.filter(Number.isFinite).sort((x, y) => x - y);
+    if (!a.length) return null;
+    const m = Math.floor(a.length / 2);
+    return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+  },
+  hoursBetween(from, to) {
+    const a = new Date(from || "").getTime(), b = new Date(to || "").getTime();
+    if (Number.isNaN(a) || Number.isNaN(b) || b < a) return NaN;
+    return (b - a) / 3600000;
+  },
+  // Calendar day on this device, so a report filed late in the evening isn't counted as tomorrow
+  dayKey(ts) {
+    const d = new Date(ts || "");
+    if (Number.isNaN(d.getTime())) return null;
+    const pad = n => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  },
+  compute(rows, days = 30) {
+    const byStatus = {}, byType = {}, vendors = {};
+    const assignH = [], resolveH = [];
+    const trend = {};
+    // Step back by calendar day, not 24h, so DST changes don't skip or repeat a day
+    const today = new Date();
+    for (let i = days - 1; i >= 0; i--) {
+      trend[this.dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - i))] = { created: 0, resolved: 0 };
+    }
+
+    (rows || []).forEach(r => {
+      const st = statusKey(r.status);
+      byStatus[st] = (byStatus[st] || 0) + 1;
+      const type = String(r.wasteType || "unknown").toLowerCase();
+      byType[type] = (byType[type] || 0) + 1;
+
+      const resolvedAt = r.resolvedAt || (st === "RESOLVED" ? r.updatedAt : null);
+      if (r.assignedAt) assignH.push(this.hoursBetween(r.createdAt, r.assignedAt));
+      if (resolvedAt) resolveH.push(this.hoursBetween(r.createdAt, resolvedAt));
+
+      const vid = r.lastVendorId || r.assignedVendorId;
+      if (vid) {
+        const v = vendors[vid] || (vendors[vid] = { id: vid, assigned: 0, resolved: 0, completed: 0, reopened: 0 });
+        const reopened = Number(r.reopenCount) > 0;
+        v.assigned += 1;
+        if (st === "RESOLVED") v.resolved += 1;
+        // A reopened report was completed at least once, whatever its status is now
+        if (reopened || resolvedAt || st === "VERIFICATION_PENDING") v.completed += 1;
+        if (reopened) v.reopened += 1;
+      }
+
+      const c = this.dayKey(r.createdAt);
+      if (c && trend[c]) trend[c].created += 1;
+      const d = resolvedAt ? this.dayKey(resolvedAt) : null;
+      if (d && trend[d]) trend[d].resolved += 1;
+    });
+
+    return {
+      total: (rows || []).length,
+      open: (rows || []).filter(r => !["RESOLVED", "VERIFICATION_PENDING"].includes(statusKey(r.status))).length,
+      overdue: (rows || []).filter(r => SLA.breached(r) && !SLA.info(r).done).length,
+      byStatus,
+      byType,
+      medianAssignH: this.median(assignH),
+      medianResolveH: this.median(resolveH),
+      vendors: Object.values(vendors).map(v => ({
+        ...v,
+        reopenRate: v.completed ? v.reopened / v.completed : 0
+      })).sort((a, b) => b.resolved - a.resolved),
+      trend: Object.keys(trend).map(day => ({ day, ...trend[day] }))
+    };
+  }
+};
+
+/* ---------------- Waste-type detection feedback ---------------- */
+// Admin reviews of the detector (corrections and confirmations), kept locally so
+// the dataset survives offline and merged with the server copy for export.
+const Feedback = {
+  key: "wasteFeedback",
+  max: 5000,
+  columns: ["reportId", "predicted", "confidence", "source", "model", "label", "agreed", "reassign", "reviewedAt", "photoUrl"],
+  all() { return Store.get(this.key, []); },
+  record(entry) {
+    const list = this.all().filter(e => String(e.reportId) !== String(entry.reportId));
+    list.push(entry);
+    Store.set(this.key, list.slice(-this.max));
+  },
+  // What the detector said for a report. Once corrected, r.wasteType holds the admin's label, so
+  // prefer the server's originalWasteType, then the first review we recorded for the report.
+  prediction(r) {
+    if (r.originalWasteType) {
+      return {
+        predicted: r.originalWasteType,
+        confidence: r.originalWasteConfidence ?? null,
+        source: r.originalWasteTypeSource || "server",
+        model: r.wasteModel || null
+      };
+    }
+    const prev = this.all().find(e => String(e.reportId) === String(r.id));
+    if (prev) return { predicted: prev.predicted, confidence: prev.confidence, source: prev.source, model: prev.model };
+    return {
+      predicted: r.wasteType || null,
+      confidence: r.wasteConfidence ?? null,
+      source: r.wasteTypeSource || (r.wasteType ? "server" : null),
+      model: r.wasteModel || null
+    };
+  },
+  async dataset() {
+    const local = this.all();
+    let remote = [];
+    try {
+      remote = await api("/reports/waste-feedback", "GET", null, { cacheKey: "reports.wasteFeedback", cacheMaxAgeMs: 7 * 24 * 60 * 60 * 1000 }) || [];
+    } catch (e) {
+      if (!isNetworkError(e)) nativeLog(`waste feedback fetch failed: ${e?.message || e}`);
+    }
+    // Local entries win: they may not have synced yet
+    const byId = new Map();
+    [...remote, ...local].forEach(e => byId.set(String(e.reportId), e));
+    return Array.from(byId.values());
+  },
+  summary(rows) {
+    const scored = rows.filter(e => e.predicted);
+    const agreed = scored.filter(e => e.agreed).length;
+    const confusions = {};
+    scored.filter(e => !e.agreed).forEach(e => {
+      const k = `${e.predicted} -> ${e.label}`;
+      confusions[k] = (confusions[k] || 0) + 1;
+    });
+    return {
+      total: rows.length,
+      scored: scored.length,
+      accuracy: scored.length ? agreed / scored.length : null,
+      confusions: Object.entries(confusions).sort((a, b) => b[1] - a[1]).slice(0, 5)
+    };
+  }
+};
+
+/* ---------------- Duplicate detection ---------------- */
+const Duplicates = {
+  radiusM: 75,
+  windowMs: 72 * 60 * 60 * 1000,
+  sameType(a, b) {
+    const x = String(a || "").toLowerCase(), y = String(b || "").toLowerCase();
+    // Unknown / auto-detect types cannot rule a match out
+    if (!x || !y || x === "auto" || y === "auto") return true;
+    return x === y;
+  },
+  isMatch(a, b) {
+    if (!this.sameType(a.wasteType, b.wasteType)) return false;
+    const d = distanceMeters(Number(a.lat), Number(a.lng), Number(b.lat), Number(b.lng));
+    if (!Number.isFinite(d) || d > this.radiusM) return false;
+    const ta = new Date(a.createdAt || now()).getTime();
+    const tb = new Date(b.createdAt || now()).getTime();
+    return Math.abs(ta - tb) <= this.windowMs;
+  },
+  // Open reports near the draft, nearest first
+  candidates(draft, rows) {
+    const seen = new Set();
+    return (rows || [])
+      .filter(r => {
+        const id = String(r?.id ?? "");
+        if (!id || seen.has(id)) return false;
+        seen.add(id);
+        return String(r.status || "").toUpperCase() !== "RESOLVED" && this.isMatch(draft, r);
+      })
+      .map(r => ({ ...r, _distance: distanceMeters(Number(draft.lat), Number(draft.lng), Number(r.lat), Number(r.lng)) }))
+      .sort((a, b) => a._distance - b._distance);
+  },
+  async find(payload) {
+    const draft = {
+      lat: payload.lat,
+      lng: payload.lng,
+      wasteType: payload.wasteTypeOverride,
+      createdAt: now()
+    };
+    const rows = [
+      ...(Reports._userRows || []),
+      ...(Cache.get(Reports.pageKey("reports.me.all"), this.windowMs) || [])
+    ];
+    if (navigator.onLine) {
+      try {
+        const since = new Date(Date.now() - this.windowMs).toISOString();
+        const qs = `lat=${encodeURIComponent(draft.lat)}&lng=${encodeURIComponent(draft.lng)}&radius=${this.radiusM}&since=${encodeURIComponent(since)}`;
+        const nearby = await api(`/reports/nearby?${qs}`, "GET");
+        if (Array.isArray(nearby)) rows.push(...nearby);
+      } catch (e) {
+        // Server lookup is best-effort; fall back to cached lists
+        nativeLog(`Duplicate lookup skipped: ${e?.message || e}`);
+      }
+    }
+    return this.candidates(draft, rows);
+  },
+  // Connected groups of likely duplicates, for the admin list.
+  // Rows are bucketed on a grid at least radiusM wide, so only neighbouring cells are compared.
+  group(rows) {
+    const list = (rows || []).filter(r => Number.isFinite(Number(r.lat)) && Number.isFinite(Number(r.lng)));
+    const parent = list.map((_, i) => i);
+    const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+    const maxLat = Math.min(89, Math.max(0, ...list.map(r => Math.abs(Number(r.lat)))));
+    const cellLat = this.radiusM / 111320;
+    const cellLng = this.radiusM / (111320 * Math.cos(maxLat * Math.PI / 180));
+    const cells = new Map();
+    const cellOf = r => [Math.floor(Number(r.lat) / cellLat), Math.floor(Number(r.lng) / cellLng)];
+    list.forEach((r, i) => {
+      const key = cellOf(r).join(",");
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    });
+    list.forEach((r, i) => {
+      const [cy, cx] = cellOf(r);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          (cells.get(`${cy + dy},${cx + dx}`) || []).forEach(j => {
+            if (j > i && this.isMatch(list[i], list[j])) parent[root(j)] = root(i);
+          });
+        }
+      }
+    });
+    const groups = new Map();
+    list.forEach((r, i) => {
+      const k = root(i);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(r);
+    });
+    return Array.from(groups.values()).filter(g => g.length > 1);
+  }
+};
+
+/* ---------------- Route planning (offline) ---------------- */
+const Route = {
+  dist(a, b) { return distanceMeters(a.lat, a.lng, b.lat, b.lng); },
+  length(start, stops) {
+    let total = 0, prev = start;
+    stops.forEach(s => { total += this.dist(prev, s); prev = s; });
+    return total;
+  },
+  // Nearest-neighbour tour from the start point, then 2-opt on the open path
+  order(start, stops) {
+    const left = stops.slice();
+    const path = [];
+    let cur = start;
+    while (left.length) {
+      let best = 0;
+      for (let i = 1; i < left.length; i++) {
+        if (this.dist(cur, left[i]) < this.dist(cur, left[best])) best = i;
+      }
+      cur = left.splice(best, 1)[0];
+      path.push(cur);
+    }
+
+    const pts = [start, ...path];
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < pts.length - 2; i++) {
+        for (let k = i + 2; k < pts.length; k++) {
+          const a = pts[i], b = pts[i + 1], c = pts[k], d = pts[k + 1];
+          const before = this.dist(a, b) + (d ? this.dist(c, d) : 0);
+          const after = this.dist(a, c) + (d ? this.dist(b, d) : 0);
+          if (after + 1e-6 < before) {
+            const mid = pts.slice(i + 1, k + 1).reverse();
+            pts.splice(i + 1, mid.length, ...mid);
+            improved = true;
+          }
+        }
+      }
+    }
+    return pts.slice(1);
+  }
+};
+
+/* ---------------- Export (CSV / GeoJSON / printable PDF) ---------------- */
+const Exporter = {
+  columns: ["id", "title", "desc", "status", "wasteType", "wasteConfidence", "lat", "lng", "address", "assignedVendorId", "createdAt", "updatedAt"],
+  stamp(d = new Date()) {
+    const p = n => String(n).padStart(2, "0");
+    return `${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}`;
+  },
+  fileName(ext) { return `civicsweep-reports-${this.stamp()}.${ext}`; },
+  // Quote per RFC 4180; prefix formula-like text (not negative numbers) so spreadsheets keep it as text
+  csvCell(v) {
+    let s = v == null ? "" : String(v);
+    if (/^[=+\-@]/.test(s) && !Number.isFinite(Number(s))) s = "'" + s;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  },
+  toCSV(rows) {
+    const head = [...this.columns, "slaBreached"];
+    const lines = [head.join(",")];
+    rows.forEach(r => {
+      const cells = this.columns.map(c => this.csvCell(r[c]));
+      cells.push(SLA.breached(r) ? "yes" : "no");
+      lines.push(cells.join(","));
+    });
+    return lines.join("\r\n");
+  },
+  toGeoJSON(rows) {
+    const features = rows
+      .filter(r => Number.isFinite(Number(r.lat)) && Number.isFinite(Number(r.lng)) && r.lat !== null && r.lng !== null)
+      .map(r => {
+        const properties = {};
+        this.columns.forEach(c => { if (c !== "lat" && c !== "lng") properties[c] = r[c] ?? null; });
+        properties.slaBreached = SLA.breached(r);
+        return { type: "Feature", geometry: { type: "Point", coordinates: [Number(r.lng), Number(r.lat)] }, properties };
+      });
+    return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+  },
+  esc(v) {
+    return String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  },
+  photo(src) {
+    return src ? `<img src="${this.esc(src)}" alt="">` : "";
+  },
+  toPrintHtml(rows, meta = {}) {
+    const byStatus = {};
+    rows.forEach(r => { const k = statusKey(r.status); byStatus[k] = (byStatus[k] || 0) + 1; });
+    const summary = Object.entries(byStatus).map(([k, n]) => `${this.esc(k)}: ${n}`).join(" · ");
+    const items = rows.map(r => `
+      <section class="item">
+        <h2>#${this.esc(r.id)} ${this.esc(r.title || "Untitled")} <span>${this.esc(statusKey(r.status))}</span></h2>
+        <p class="meta">${this.esc(r.wasteType || "unknown")} · ${this.esc(r.address || `${r.lat ?? "?"}, ${r.lng ?? "?"}`)} · ${this.esc(r.createdAt ? new Date(r.createdAt).toLocaleString() : "")}${r.assignedVendorId ? ` · vendor ${this.esc(r.assignedVendorId)}` : ""}${SLA.breached(r) ? " · <b>SLA breached</b>" : ""}</p>
+        ${r.desc ? `<p>${this.esc(r.desc)}</p>` : ""}
+        <div class="photos">${[...Media.items(r, "photo"), ...Media.items(r, "vendorProof")].filter(m => m.kind === "image").map(m => this.photo(m.url)).join("")}</div>
+      </section>`).join("");
+    return `<!doctype html><html><head><meta charset="utf-8"><title>CivicSweep reports</title>
+      <style>
+        body{font-family:sans-serif;font-size:12px;color:#0f172a;margin:24px}
+        h1{font-size:18px;margin:0 0 4px}
+        .meta{color:#475569;margin:2px 0}
+        .item{border-top:1px solid #cbd5e1;padding:8px 0;page-break-inside:avoid}
+        .item h2{font-size:13px;margin:0}
+        .item h2 span{font-weight:normal;color:#475569}
+        .photos img{max-width:45%;max-height:180px;margin:4px 8px 0 0}
+      </style></head><body>
+      <h1>CivicSweep reports</h1>
+      <p class="meta">Generated ${this.esc(new Date().toLocaleString())} · filter: ${this.esc(meta.filter || "all")}${meta.search ? ` · search: "${this.esc(meta.search)}"` : ""}</p>
+      <p class="meta">${rows.length} reports${summary ? ` · ${summary}` : ""}${meta.partial ? " · <b>partial export: the rest of the list could not be loaded</b>" : ""}</p>
+      ${items}
+      </body></html>`;
+  },
+  // Android: save to Downloads or hand to the share sheet. Browser: plain download.
+  deliver(name, mime, content, share) {
+    const bridge = window.NativeExport;
+    if (bridge) {
+      // Android 9 and older can't write to Downloads without a storage permission, so share instead
+      if (!share && bridge.canSaveToDownloads && !bridge.canSaveToDownloads()) {
+        return bridge.shareFile(name, mime, content)
+          ? "This Android version can't save to Downloads. Opening share sheet..."
+          : "Could not share export";
+      }
+      if (share) return bridge.shareFile(name, mime, content) ? "Opening share sheet..." : "Could not share export";
+      const where = bridge.saveFile(name, mime, content);
+      return where ? `Saved to ${where}` : "Could not save export";
+    }
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return `Downloaded ${name}`;
+  },
+  print(html) {
+    if (window.NativeExport) {
+      window.NativeExport.printHtml("CivicSweep reports", html);
+      return;
+    }
+    const w = window.open("", "_blank");
+    if (!w) throw new Error("Allow pop-ups to print the report summary");
+    w.document.write(html);
+    w.document.close();
+    w.focus();
+    w.print();
+  }
+};
+
+/* ---------------- Structured admin search ---------------- */
+// status:ASSIGNED type:plastic vendor:V12 before:2026-09-01 after:2026-08-01 near:12.97,77.59,500m id:42 "free text"
+const Query = {
+  keys: ["status", "type", "vendor", "before", "after", "near", "id"],
+  serverKeys: ["type", "vendor", "before", "after"], // status and q already go to /reports
+
+  parse(input) {
+    const q = { text: "", errors: [] };
+    const words = [];
+    const re = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(String(input || "")))) {
+      if (!m[1]) { words.push(m[3] ?? m[4]); continue; }
+      const key = m[1].toLowerCase();
+      const val = m[2].replace(/^"|"$/g, "");
+      if (!this.keys.includes(key)) { words.push(m[0]); continue; }
+      if (key === "status") {
+        q.status = val.toUpperCase();
+      } else if (key === "before" || key === "after") {
+        const t = new Date(val).getTime();
+        if (Number.isNaN(t)) q.errors.push(`${key}: "${val}" is not a date`);
+        else q[key] = val;
+      } else if (key === "near") {
+        const p = val.match(/^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?)(m|km)?)?$/i);
+        if (!p) { q.errors.push(`near: use lat,lng,radius (e.g. 12.97,77.59,500m)`); continue; }
+        const r = p[3] ? Number(p[3]) * ((p[4] || "m").toLowerCase() === "km" ? 1000 : 1) : 500;
+        q.near = { lat: Number(p[1]), lng: Number(p[2]), radiusM: r };
+      } else {
+        q[key] = val;
+      }
+    }
+    q.text = words.join(" ").trim();
+    return q;
+  },
+
+  // Canonical string so "type:a status:b" and "status:b type:a" share a cache entry
+  key(q) {
+    const parts = this.keys.filter(k => q[k] != null).map(k => {
+      const v = k === "near" ? `${q.near.lat},${q.near.lng},${q.near.radiusM}` : String(q[k]).toLowerCase();
+      return `${k}:${v}`;
+    });
+    if (q.text) parts.push(q.text.toLowerCase());
+    return parts.join(" ") || "all";
+  },
+
+  params(q, status) {
+    const p = new URLSearchParams();
+    p.set("status", q.status || status || "all");
+    p.set("q", q.text || "");
+    this.serverKeys.forEach(k => { if (q[k] != null) p.set(k, q[k]); });
+    if (q.near) p.set("near", `${q.near.lat},${q.near.lng},${q.near.radiusM}`);
+    return p.toString();
+  },
+
+  // Applied to server results too, so fields the API ignores still narrow the list.
+  // Free text is left to the server unless we're filtering cached rows.
+  matches(r, q, status, local = false) {
+    const st = String(r.status || "NEW").toUpperCase();
+    const want = q.status || (status && status !== "all" ? status : null);
+    if (want && st !== want) return false;
+    if (q.id != null && String(r.id) !== q.id) return false;
+    if (q.type && String(r.wasteType || "unknown").toLowerCase() !== q.type.toLowerCase()) return false;
+    if (q.vendor && String(r.assignedVendorId || r.lastVendorId || "").toLowerCase() !== q.vendor.toLowerCase()) return false;
+    const created = r.createdAt ? new Date(r.createdAt).getTime() : NaN;
+    if (q.before && !(created < new Date(q.before).getTime())) return false;
+    if (q.after && !(created >= new Date(q.after).getTime())) return false;
+    if (q.near) {
+      const lat = Number(r.lat), lng = Number(r.lng);
+      if (r.lat == null || r.lng == null || !Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+      if (distanceMeters(q.near.lat, q.near.lng, lat, lng) > q.near.radiusM) return false;
+    }
+    if (q.text && local) {
+      const hay = `${r.title || ""} ${r.desc || ""} ${r.address || ""}`.toLowerCase();
+      if (!q.text.toLowerCase().split(/\s+/).every(w => hay.includes(w))) return false;
+    }
+    return true;
+  },
+
+  // Widest cached admin list available, for filtering offline
+  cachedRows() {
+    const rows = Reports.cachedPages(Reports.allBase);
+    return rows.length ? rows : Reports._heatRows || Reports._adminRows || [];
+  },
+
+  saved() { return Store.get("savedSearches", []); },
+  save(text) {
+    const q = String(text || "").trim();
+    if (!q) return false;
+    const list = this.saved().filter(s => s.q !== q);
+    list.push({ q, pinned: false, at: now() });
+    Store.set("savedSearches", list);
+    return true;
+  },
+  togglePin(text) {
+    Store.set("savedSearches", this.saved().map(s => s.q === text ? { ...s, pinned: !s.pinned } : s));
+  },
+  remove(text) {
+    Store.set("savedSearches", this.saved().filter(s => s.q !== text));
+  }
+};
+
+/* ---------------- Reports (Render API) ---------------- */
+const Reports = {
+  _userRows: [],
+  _userPage: {},
+  _adminRows: [],
+  _adminPage: {},
+  _heatRows: null,
+  pageSize: 50,
+  // Analytics, the heatmap and offline search read every report through the unfiltered admin
+  // list's page caches, capped so a huge backlog can't stall the tab
+  allBase: "reports.admin.all.all",
+  allMaxPages: 40,
+  _adminSelected: new Set(),
+  _vendorRows: [],
+  checkInFlagM: 250,
+  checkInRejectM: 1000,
+  proofFlagM: 150,
+  pageKey(base, cursor) { return `${base}.p.${cursor || 0}`; },
+  // One page of a cursor-paged list. Older servers return a bare array: treat it as the only page.
+  async fetchPage(path, cacheBase, cursor, cacheMaxAgeMs = 5 * 60 * 1000) {
+    const sep = path.includes("?") ? "&" : "?";
+    const url = `${path}${sep}limit=${this.pageSize}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""}`;
+    return this.pageOf(await api(url, "GET", null, { cacheKey: this.pageKey(cacheBase, cursor), cacheMaxAgeMs }));
+  },
+  pageOf(res) {
+    if (Array.isArray(res)) return { items: res, next: null };
+    return { items: res?.items || [], next: res?.nextCursor || null };
+  },
+  // Follows the cursor chain through whatever pages are cached, for offline use
+  cachedPages(cacheBase, maxPages = this.allMaxPages) {
+    let rows = [], cursor = null;
+    for (let i = 0; i < maxPages; i++) {
+      const res = Cache.get(this.pageKey(cacheBase, cursor), Infinity);
+      if (res == null) break;
+      const { items, next } = this.pageOf(res);
+      rows = this.mergeRows(rows, items);
+      if (!(cursor = next)) break;
+    }
+    return rows;
+  },
+  // Every report, all statuses. A network drop after the first page keeps what has loaded.
+  async loadAllReports(maxPages = this.allMaxPages) {
+    const path = `/reports?${Query.params({}, "all")}`;
+    let rows = [], cursor = null, fromCache = false;
+    for (let i = 0; i < maxPages; i++) {
+      let page;
+      try {
+        page = await this.fetchPage(path, this.allBase, cursor, 7 * 24 * 60 * 60 * 1000);
+      } catch (e) {
+        if (!i || !isNetworkError(e)) throw e;
+        fromCache = true;
+        break;
+      }
+      fromCache = fromCache || api.lastFromCache;
+      rows = this.mergeRows(rows, page.items);
+      if (!(cursor = page.next)) break;
+    }
+    return { rows, fromCache };
+  },
+  // Appends a page, skipping rows already listed (pages can shift when reports are added)
+  mergeRows(existing, incoming) {
+    const seen = new Set(existing.map(r => String(r.id ?? "")));
+    return [...existing, ...incoming.filter(r => !seen.has(String(r.id ?? "")))];
+  },
+  fileToDataUrl(file) {
+    return new Promise((res, rej) => {
+      const fr = new FileReader();
+      fr.onload = () => res(fr.result);
+      fr.onerror = rej;
+      fr.readAsDataURL(file);
+    });
+  },
+  useMyLocation() {
+    if (!navigator.geolocation) return toast("Geolocation not supported");
+    navigator.geolocation.getCurrentPosition(p => {
+      $("#rLat").value = p.coords.latitude.toFixed(6);
+      $("#rLng").value = p.coords.longitude.toFixed(6);
+      UI.mapPickSet([p.coords.latitude, p.coords.longitude], true);
+      reverseGeocode(p.coords.latitude, p.coords.longitude).then(addr=>{ window.__geoAddr = addr || null; UI.setAddress(addr); });
+    }, () => toast("Location permission denied"));
+  },
+  async submit() {
+    try {
+      nativeLog("Submit report: start");
+      const s = Session.data; if (!s || s.role !== "user") return toast("Login as user first");
+      const title = $("#rTitle").value.trim();
+      if (!title) return toast("Add a title");
       const desc = $("#rDesc").value.trim();
       const wasteTypeOverride = $("#rWasteType")?.value || "auto";
       const lat = parseFloat($("#rLat").value);
       const lng = parseFloat($("#rLng").value);
       if (Number.isNaN(lat) || Number.isNaN(lng)) return toast("Set location (use map or GPS)");
-      const f = $("#rPhoto").files?.[0];
-
-      // compress before sending (higher quality for AI detection accuracy)
-      let photoBase64 = null;
-      if (f) {
-        photoBase64 = await compressImage(f, 1600, 1600, 0.85);
+      // already compressed when picked (higher quality for AI detection accuracy)
+      const attachments = UI.picked("report");
+
+      let payload = { title, desc, lat, lng, address: (window.__geoAddr || null), wasteTypeOverride, wasteTypeHint: UI._wasteHint || null };
+
+      const dupes = await Duplicates.find(payload);
+      if (dupes.length) {
+        const choice = await UI.askDuplicate(dupes);
+        if (choice.action === "cancel") return;
+        if (choice.action === "attach") {
+          await this.attachToExisting(choice.report, { desc, attachments });
+          this.resetForm();
+          this.refreshUserTable();
+          return;
+        }
       }
 
-      const payload = { title, desc, lat, lng, photoBase64, address: (window.__geoAddr || null), wasteTypeOverride };
-      if (!navigator.onLine) {
+      // Attachments go up as their own uploads; anything parked offline means the report waits in the queue
+      payload = await Media.attach(payload, "photo", attachments);
+      if (!navigator.onLine || Media.parked(payload)) {
         const stub = OfflineQueue.enqueueReport(payload);
         this._userRows = [stub, ...(this._userRows || [])];
-        this._userLimit = this._userStep;
         UI.renderTable("#userReports", this._userRows);
         toast("Offline. Report saved and will sync automatically.");
       } else {
+        const key = OfflineQueue.newId();
         try {
-          const created = await api("/reports", "POST", payload);
+          const created = await api("/reports", "POST", payload, { idempotencyKey: key });
           nativeLog(`Submit report: ok ${created?.id ? `id=${created.id}` : ""}`.trim());
           toast("Report submitted");
         } catch (e) {
           if (isNetworkError(e)) {
-            const stub = OfflineQueue.enqueueReport(payload);
+            // The server may have stored it before the connection dropped; the same key dedupes the retry
+            const stub = OfflineQueue.enqueueReport(payload, key);
             this._userRows = [stub, ...(this._userRows || [])];
-            this._userLimit = this._userStep;
             UI.renderTable("#userReports", this._userRows);
             toast("Network issue. Report queued for sync.");
           } else {
@@ -758,38 +2529,72 @@ const Reports = {
         }
       }
 
-      ["#rTitle", "#rDesc", "#rLat", "#rLng"].forEach(sel => $(sel).value = "");
-      if ($("#rWasteType")) $("#rWasteType").value = "auto";
-      $("#rPhoto").value = ""; $("#rPreview").classList.add("hidden");
+      this.resetForm();
       this.refreshUserTable();
     } catch (e) { oops(e); }
   },
+  resetForm() {
+    ["#rTitle", "#rDesc", "#rLat", "#rLng"].forEach(sel => $(sel).value = "");
+    if ($("#rWasteType")) $("#rWasteType").value = "auto";
+    $("#rPhoto").value = ""; UI.clearPicked("report");
+  },
+  // Adds the citizen's photo/comment to an existing report instead of filing a new one
+  async attachToExisting(report, { desc, attachments }) {
+    const body = await Media.attach({ reportId: report.id, desc }, "photo", attachments);
+    if (!navigator.onLine || Media.parked(body)) {
+      OfflineQueue.enqueueAction("report.attach", body);
+      toast("Offline. Your photo will be added when online.");
+      return;
+    }
+    const key = OfflineQueue.newId();
+    try {
+      await api(`/reports/${encodeURIComponent(report.id)}/photos`, "POST", body, { idempotencyKey: key });
+      toast("Added to existing report");
+    } catch (e) {
+      if (!isNetworkError(e)) throw e;
+      OfflineQueue.enqueueAction("report.attach", body, key);
+      toast("Network issue. Your photo is queued for sync.");
+    }
+  },
   async refreshUserTable() {
+    const s = Session.data; if (!s || s.role !== "user") return;
+    const filter = $("#uFilter")?.value || "all";
+    this._userPage = {
+      gen: (this._userPage.gen || 0) + 1,
+      cacheBase: `reports.me.${filter}`,
+      path: `/reports/me?status=${encodeURIComponent(filter)}`,
+      cursor: null, done: false, loading: false, error: false
+    };
+    // Queued stubs always sit on top; server pages are appended below them
+    this._userRows = OfflineQueue.pendingReports().map(i => OfflineQueue.toReportStub(i));
+    UI.fx?.skeletonStart?.('#userReports');
+    try { await this.loadMoreUser(); }
+    finally { UI.fx?.skeletonStop?.('#userReports'); }
+  },
+  async loadMoreUser() {
+    const page = this._userPage;
+    if (page.done || page.loading || !page.path) return;
+    page.loading = true;
+    page.error = false;
     try {
-      const s = Session.data; if (!s || s.role !== "user") return;
-      UI.fx?.skeletonStart?.('#userReports');
-      const filter = $("#uFilter")?.value || "all";
-      const path = `/reports/me?status=${encodeURIComponent(filter)}`;
-      const reports = await api(path, "GET", null, { cacheKey: `reports.me.${filter}`, cacheMaxAgeMs: 5 * 60 * 1000 });
+      const { items, next } = await this.fetchPage(page.path, page.cacheBase, page.cursor);
+      if (page !== this._userPage) return;
       if (api.lastFromCache) notifyOffline("Offline. Showing last saved reports.");
-      const queued = OfflineQueue.pendingReports().map(i => OfflineQueue.toReportStub(i));
-      this._userRows = [...queued, ...(reports || [])];
-      this._userLimit = this._userStep;
-      UI.renderTable("#userReports", this._userRows);
-      UI.fx?.initTooltips?.('#userReports');
-      UI.fx?.revealRows?.('#userReports');
+      this._userRows = this.mergeRows(this._userRows, items);
+      page.cursor = next;
+      page.done = !next;
     } catch (e) {
-      if (isNetworkError(e)) {
-        const queued = OfflineQueue.pendingReports().map(i => OfflineQueue.toReportStub(i));
-        this._userRows = queued;
-        this._userLimit = this._userStep;
-        UI.renderTable("#userReports", this._userRows);
-        notifyOffline("Offline. No cached reports yet.");
-      } else {
-        oops(e);
-      }
+      if (page !== this._userPage) return;
+      page.error = true;
+      if (isNetworkError(e)) notifyOffline(page.cursor ? "Offline. Older reports aren't saved on this device." : "Offline. No cached reports yet.");
+      else oops(e);
+    } finally {
+      page.loading = false;
     }
-    finally { UI.fx?.skeletonStop?.('#userReports'); }
+    if (page !== this._userPage) return;
+    UI.renderTable("#userReports", this._userRows);
+    UI.fx?.initTooltips?.('#userReports');
+    UI.fx?.revealRows?.('#userReports');
   },
   async refreshVendorTable() {
     try {
@@ -799,7 +2604,8 @@ const Reports = {
       const path = `/reports/vendor?status=${encodeURIComponent(filter)}`;
       const reports = await api(path, "GET", null, { cacheKey: `reports.vendor.${filter}`, cacheMaxAgeMs: 5 * 60 * 1000 });
       if (api.lastFromCache) notifyOffline("Offline. Showing last saved tasks.");
-      UI.renderTable("#vendorTasks", (reports || []));
+      this._vendorRows = reports || [];
+      UI.renderTable("#vendorTasks", this._vendorRows);
       UI.fx?.initTooltips?.('#vendorTasks');
       UI.fx?.revealRows?.('#vendorTasks');
     } catch (e) {
@@ -812,44 +2618,179 @@ const Reports = {
     }
     finally { UI.fx?.skeletonStop?.('#vendorTasks'); }
   },
-  async refreshAdminTable() {
+  async vendorOpenTasks() {
+    const rows = [];
+    for (const st of ["ASSIGNED", "IN_PROGRESS"]) {
+      const cacheKey = `reports.vendor.${st}`;
+      try {
+        const list = await api(`/reports/vendor?status=${st}`, "GET", null, { cacheKey, cacheMaxAgeMs: 5 * 60 * 1000 });
+        rows.push(...(list || []));
+      } catch (e) {
+        if (!isNetworkError(e)) throw e;
+        rows.push(...(Cache.get(cacheKey, 7 * 24 * 60 * 60 * 1000) || []));
+      }
+    }
+    return rows;
+  },
+  async planRoute() {
+    try {
+      const s = Session.data; if (!s || s.role !== "vendor") return;
+      const tasks = (await this.vendorOpenTasks())
+        .filter(r => Number.isFinite(Number(r.lat)) && Number.isFinite(Number(r.lng)))
+        .map(r => ({ ...r, lat: Number(r.lat), lng: Number(r.lng) }));
+      if (!tasks.length) return toast("No open tasks with a location");
+
+      let start = null;
+      try {
+        start = await currentPosition();
+      } catch (_) {
+        toast("Location unavailable. Starting from the first task.");
+      }
+      const ordered = start ? Route.order(start, tasks) : [tasks[0], ...Route.order(tasks[0], tasks.slice(1))];
+      UI.openRouteModal(start, ordered);
+    } catch (e) { oops(e); }
+  },
+  async loadAnalytics() {
+    const wrap = $("#adminAnalytics");
     try {
       const s = Session.data;
       if (!s || s.role !== "admin" || !JWT) return;
-      const filter = $("#aFilter").value || "all";
-      const q = ($("#aSearch").value || "");
-      UI.fx?.skeletonStart?.('#adminReports');
-      const cacheKey = `reports.admin.${filter}.${q || "all"}`;
-      const reports = await api(`/reports?status=${encodeURIComponent(filter)}&q=${encodeURIComponent(q)}`, "GET", null, { cacheKey, cacheMaxAgeMs: 5 * 60 * 1000 });
-      if (api.lastFromCache) notifyOffline("Offline. Showing last saved admin view.");
-      this._adminRows = reports || [];
-      this._adminLimit = this._adminStep;
-      UI.renderTable("#adminReports", this._adminRows);
-      UI.fx?.initTooltips?.('#adminReports');
-      UI.fx?.revealRows?.('#adminReports');
-      // Ensure vendor dropdown is up to date
-      await Vendors.refresh();
+      UI.fx?.skeletonStart?.('#adminAnalytics');
+      const { rows, fromCache } = await this.loadAllReports();
+      if (fromCache) notifyOffline("Offline. Analytics use last saved reports.");
+      UI.renderAnalytics(Analytics.compute(rows));
+      UI.renderFeedbackSummary(Feedback.summary(await Feedback.dataset()));
     } catch (e) {
       if (isNetworkError(e)) {
-        UI.renderTable("#adminReports", []);
-        notifyOffline("Offline. No cached admin data yet.");
+        if (wrap) wrap.textContent = "Offline. No cached reports for analytics yet.";
       } else {
         oops(e);
       }
     }
+    finally { UI.fx?.skeletonStop?.('#adminAnalytics'); }
+  },
+  // Heatmap uses every report (all statuses), not just the filtered table
+  async loadHeatRows() {
+    try {
+      const { rows, fromCache } = await this.loadAllReports();
+      if (fromCache) notifyOffline("Offline. Heatmap uses last saved reports.");
+      this._heatRows = rows;
+    } catch (e) {
+      if (!isNetworkError(e)) oops(e);
+      this._heatRows = Query.cachedRows();
+    }
+    return this._heatRows;
+  },
+  async refreshAdminTable() {
+    try {
+      const s = Session.data;
+      if (!s || s.role !== "admin" || !JWT) return;
+      const picked = $("#aFilter").value || "all";
+      // OVERDUE is computed client-side from SLA targets
+      const filter = picked === "OVERDUE" ? "all" : picked;
+      const query = Query.parse($("#aSearch").value || "");
+      UI.renderSearchHint(query);
+      UI.fx?.skeletonStart?.('#adminReports');
+      this._adminPage = {
+        gen: (this._adminPage.gen || 0) + 1,
+        picked, filter, query,
+        cacheBase: `reports.admin.${query.status || filter}.${Query.key({ ...query, status: null })}`,
+        path: `/reports?${Query.params(query, filter)}`,
+        cursor: null, done: false, loading: false, error: false, local: false
+      };
+      this._adminRows = [];
+      await this.loadMoreAdmin();
+      // Ensure vendor dropdown is up to date
+      await Vendors.refresh();
+    } catch (e) { oops(e); }
     finally { UI.fx?.skeletonStop?.('#adminReports'); }
   },
+  // Returns the page load already in flight, if any, so callers can wait for it
+  loadMoreAdmin() {
+    const page = this._adminPage;
+    if (page.pending) return page.pending;
+    if (page.done || !page.path) return Promise.resolve();
+    page.pending = this._loadAdminPage(page).finally(() => { page.pending = null; });
+    return page.pending;
+  },
+  async _loadAdminPage(page) {
+    page.loading = true;
+    page.error = false;
+    try {
+      let items, next = null;
+      try {
+        ({ items, next } = await this.fetchPage(page.path, page.cacheBase, page.cursor));
+        if (api.lastFromCache) notifyOffline("Offline. Showing last saved admin view.");
+      } catch (e) {
+        if (!isNetworkError(e) || page.cursor) throw e;
+        // No cached copy of this exact query: run it over whatever we have locally
+        items = Query.cachedRows();
+        page.local = true;
+        notifyOffline("Offline. Search ran on saved reports.");
+      }
+      if (page !== this._adminPage) return;
+      let rows = items.filter(r => Query.matches(r, page.query, page.filter, page.local));
+      if (page.picked === "OVERDUE") rows = rows.filter(r => SLA.breached(r) && !SLA.info(r).done);
+      rows = this.mergeRows(this._adminRows, rows);
+      if (($("#aSort")?.value || "") === "overdue") {
+        rows = rows.slice().sort((a, b) => SLA.overdueMs(b) - SLA.overdueMs(a));
+      }
+      this._adminRows = rows;
+      page.cursor = next;
+      page.done = !next;
+    } catch (e) {
+      if (page !== this._adminPage) return;
+      page.error = true;
+      if (isNetworkError(e)) notifyOffline(this._adminRows.length ? "Offline. Older reports aren't saved on this device." : "Offline. No cached admin data yet.");
+      else oops(e);
+    } finally {
+      page.loading = false;
+    }
+    if (page !== this._adminPage) return;
+    // A page can filter down to nothing locally (e.g. Overdue); keep going so the list isn't stuck empty
+    if (!this._adminRows.length && !page.done && !page.error) return this._loadAdminPage(page);
+    const ids = new Set(this._adminRows.map(r => String(r.id ?? "")));
+    this._adminSelected.forEach(id => { if (!ids.has(id)) this._adminSelected.delete(id); });
+    UI.renderTable("#adminReports", this._adminRows);
+    UI.renderBulkBar();
+    UI.renderAdminDuplicates(this._adminRows);
+    UI.renderAdminMap();
+    UI.fx?.initTooltips?.('#adminReports');
+    UI.fx?.revealRows?.('#adminReports');
+  },
+  // Exports and bulk views need the whole result set, not just the pages scrolled so far.
+  // complete is false if a page failed or the cap was hit before the last page.
+  async loadAllAdmin(maxPages = 200) {
+    const page = this._adminPage;
+    let loaded = 0;
+    while (page === this._adminPage && !page.done && !page.error && loaded < maxPages) {
+      await this.loadMoreAdmin();
+      loaded++;
+    }
+    // Wait out a load that was already running when we hit the cap
+    if (page.pending) await page.pending;
+    return { rows: this._adminRows, complete: page === this._adminPage && !!page.done && !page.error };
+  },
+  // Sends a write with a fresh idempotency key. Offline (or when asked, e.g. parked media) and on a
+  // dropped connection the same write is queued under that key, so a replay can't apply it twice.
+  async post(type, payload, { queueNow = false } = {}) {
+    const key = OfflineQueue.newId();
+    if (!queueNow && navigator.onLine) {
+      try {
+        return { queued: false, res: await api(OfflineQueue.path({ type, payload }), "POST", payload, { idempotencyKey: key }) };
+      } catch (e) {
+        if (!isNetworkError(e)) throw e;
+      }
+    }
+    OfflineQueue.enqueueAction(type, payload, key);
+    updateNetStatus();
+    return { queued: true, res: null };
+  },
   async assign() {
     try {
       const id = $("#aReportId").value.trim(), vendorId = $("#aVendor").value;
       if (!id || !vendorId) return toast("Enter Report ID and select a vendor");
-      if (!navigator.onLine) {
-        OfflineQueue.enqueueAction("admin.assign", { reportId: id, vendorId });
-        toast("Offline. Assignment queued.");
-        updateNetStatus();
-        return;
-      }
-      await api("/reports/assign", "POST", { reportId: id, vendorId });
+      if ((await this.post("admin.assign", { reportId: id, vendorId })).queued) return toast("Offline. Assignment queued.");
       toast("Assigned");
       this.refreshAdminTable();
     } catch (e) { oops(e); }
@@ -858,41 +2799,472 @@ const Reports = {
     try {
       const id = $("#aStatusId").value.trim(), st = $("#aStatusVal").value;
       if (!id || !st) return toast("Enter Report ID and select a status");
-      if (!navigator.onLine) {
-        OfflineQueue.enqueueAction("admin.status", { reportId: id, status: st });
-        toast("Offline. Status update queued.");
-        updateNetStatus();
-        return;
-      }
-      await api("/reports/status", "POST", { reportId: id, status: st });
+      if ((await this.post("admin.status", { reportId: id, status: st })).queued) return toast("Offline. Status update queued.");
       toast("Status updated");
       this.refreshAdminTable(); this.refreshUserTable(); this.refreshVendorTable();
     } catch (e) { oops(e); }
   },
-  async vendorComplete() {
+  toggleSelected(id, on) {
+    if (!id) return;
+    if (on) this._adminSelected.add(id);
+    else this._adminSelected.delete(id);
+    UI.renderBulkBar();
+  },
+  clearSelected() {
+    this._adminSelected.clear();
+    UI.renderTable("#adminReports", this._adminRows);
+    UI.renderBulkBar();
+  },
+  // Runs one request per selected report; network failures fall back to the offline queue.
+  async _runBulk(type, path, makePayload) {
+    const ids = Array.from(this._adminSelected);
+    if (!ids.length) return toast("Select at least one report");
+    const results = [];
+    let online = navigator.onLine;
+    for (const id of ids) {
+      const payload = makePayload(id);
+      if (!online) {
+        OfflineQueue.enqueueAction(type, payload);
+        results.push({ id, state: "queued" });
+        continue;
+      }
+      const key = OfflineQueue.newId();
+      try {
+        await api(path, "POST", payload, { idempotencyKey: key });
+        results.push({ id, state: "ok" });
+      } catch (e) {
+        if (isNetworkError(e)) {
+          online = false;
+          OfflineQueue.enqueueAction(type, payload, key);
+          results.push({ id, state: "queued" });
+        } else {
+          results.push({ id, state: "failed", error: e?.message || "Failed" });
+        }
+      }
+    }
+    UI.renderBulkResults(results);
+    const ok = results.filter(r => r.state === "ok").length;
+    const queued = results.filter(r => r.state === "queued").length;
+    const failed = results.filter(r => r.state === "failed").length;
+    toast(`Done: ${ok} updated, ${queued} queued, ${failed} failed`);
+    // Keep failed rows selected so they can be retried
+    this._adminSelected = new Set(results.filter(r => r.state === "failed").map(r => r.id));
+    updateNetStatus();
+    if (ok) await this.refreshAdminTable();
+    else {
+      UI.renderTable("#adminReports", this._adminRows);
+      UI.renderBulkBar();
+    }
+  },
+  async bulkAssign() {
+    try {
+      const vendorId = $("#aBulkVendor")?.value;
+      if (!vendorId) return toast("Select a vendor");
+      await this._runBulk("admin.assign", "/reports/assign", id => ({ reportId: id, vendorId }));
+    } catch (e) { oops(e); }
+  },
+  async bulkUpdateStatus() {
+    try {
+      const st = $("#aBulkStatus")?.value;
+      if (!st) return toast("Select a status");
+      await this._runBulk("admin.status", "/reports/status", id => ({ reportId: id, status: st }));
+    } catch (e) { oops(e); }
+  },
+  async citizenConfirm(reportId) {
+    try {
+      const s = Session.data; if (!s || s.role !== "user" || !reportId) return;
+      const payload = { reportId, confirmedAt: now() };
+      if ((await this.post("report.confirm", payload)).queued) {
+        toast("Offline. Confirmation queued.");
+        UI.closeReportModal();
+        return;
+      }
+      toast("Thanks for confirming");
+      UI.closeReportModal();
+      this.refreshUserTable();
+    } catch (e) { oops(e); }
+  },
+  // Sends a resolved report back to the admin queue with fresh evidence
+  async citizenReopen(reportId, comment, file) {
+    try {
+      const s = Session.data; if (!s || s.role !== "user" || !reportId) return;
+      const why = String(comment || "").trim();
+      if (!why) return toast("Tell us what is still wrong");
+      if (!file) return toast("Add a photo showing what is still wrong");
+      const attachments = await Media.prepare([file]);
+      const payload = await Media.attach({ reportId, comment: why, reopenedAt: now() }, "photo", attachments);
+      if ((await this.post("report.reopen", payload, { queueNow: Media.parked(payload) })).queued) {
+        toast("Offline. Reopen request queued.");
+        UI.closeReportModal();
+        return;
+      }
+      toast("Report reopened");
+      UI.closeReportModal();
+      this.refreshUserTable();
+    } catch (e) { oops(e); }
+  },
+  // Admin review of the detected waste type; label === predicted counts as a confirmation
+  async correctWasteType(r, label, reassign = false) {
+    try {
+      if (!r || !label) return toast("Pick the correct waste type");
+      const photo = Media.src(r, "photo");
+      const { predicted, confidence, source, model } = Feedback.prediction(r);
+      const entry = {
+        reportId: r.id,
+        predicted,
+        confidence,
+        source,
+        model,
+        label,
+        agreed: !!predicted && String(predicted).toLowerCase() === label,
+        reassign: !!reassign,
+        reviewedAt: now(),
+        photoUrl: photo && /^https?:/i.test(photo) ? photo : null
+      };
+      Feedback.record(entry);
+      const { queued, res: updated } = await this.post("admin.wasteType", entry);
+      if (queued) {
+        toast("Offline. Waste type correction queued.");
+        UI.closeReportModal();
+        return;
+      }
+      if (entry.agreed) toast("Thanks. Detection marked correct.");
+      else if (reassign && updated?.assignedVendorId) toast(`Waste type corrected. Reassigned to ${updated.assignedVendorId}.`);
+      else toast("Waste type corrected");
+      UI.closeReportModal();
+      this.refreshAdminTable();
+    } catch (e) { oops(e); }
+  },
+  async exportFeedback() {
+    try {
+      const rows = await Feedback.dataset();
+      if (!rows.length) return toast("No detection feedback yet");
+      const lines = [Feedback.columns.join(",")];
+      rows.forEach(e => lines.push(Feedback.columns.map(c => Exporter.csvCell(e[c])).join(",")));
+      const share = !!$("#aExportShare")?.checked;
+      toast(Exporter.deliver(`civicsweep-waste-feedback-${Exporter.stamp()}.csv`, "text/csv", lines.join("\r\n"), share));
+    } catch (e) { oops(e); }
+  },
+  async approveCompletion(reportId) {
+    try {
+      if (!reportId) return;
+      if ((await this.post("admin.approve", { reportId })).queued) {
+        toast("Offline. Approval queued.");
+        UI.closeReportModal();
+        return;
+      }
+      toast("Completion approved");
+      UI.closeReportModal();
+      this.refreshAdminTable();
+    } catch (e) { oops(e); }
+  },
+  async rejectCompletion(reportId, reason) {
+    try {
+      if (!reportId) return;
+      const why = String(reason || "").trim();
+      if (!why) return toast("Add a reason for the vendor");
+      if ((await this.post("admin.reject", { reportId, reason: why })).queued) {
+        toast("Offline. Rejection queued.");
+        UI.closeReportModal();
+        return;
+      }
+      toast("Sent back to vendor");
+      UI.closeReportModal();
+      this.refreshAdminTable();
+    } catch (e) { oops(e); }
+  },
+  // Exports exactly what the admin table currently shows (filter + search + sort)
+  async exportAdmin(fmt) {
+    try {
+      const { rows, complete } = await this.loadAllAdmin();
+      if (!rows.length) return toast(complete ? "Nothing to export" : "Couldn't load the reports to export. Try again when online.");
+      // Never pass a truncated list off as the whole result
+      if (!complete && !confirm(`Only ${rows.length} reports could be loaded; the rest of the list is missing. Export this partial list?`)) return;
+      const share = !!$("#aExportShare")?.checked;
+      const name = ext => Exporter.fileName(complete ? ext : `partial.${ext}`);
+      const note = complete ? "" : ` (partial export: ${rows.length} reports)`;
+      if (fmt === "csv") {
+        toast(Exporter.deliver(name("csv"), "text/csv", Exporter.toCSV(rows), share) + note);
+      } else if (fmt === "geojson") {
+        toast(Exporter.deliver(name("geojson"), "application/geo+json", Exporter.toGeoJSON(rows), share) + note);
+      } else if (fmt === "pdf") {
+        Exporter.print(Exporter.toPrintHtml(rows, { filter: $("#aFilter")?.value, search: $("#aSearch")?.value, partial: !complete }));
+      }
+    } catch (e) { oops(e); }
+  },
+  // Distance/time verdict for a vendor proof against the original report
+  proofVerdict(r) {
+    const lat = Number(r.lat), lng = Number(r.lng);
+    const pLat = Number(r.proofLat), pLng = Number(r.proofLng);
+    const hasProofLoc = r.proofLat != null && r.proofLng != null && Number.isFinite(pLat) && Number.isFinite(pLng);
+    let distanceM = r.proofDistanceM != null ? Number(r.proofDistanceM) : null;
+    if (hasProofLoc && Number.isFinite(lat) && Number.isFinite(lng)) {
+      distanceM = Math.round(distanceMeters(pLat, pLng, lat, lng));
+    }
+
+    const issues = [];
+    const notes = [];
+    if (distanceM == null || !Number.isFinite(distanceM)) issues.push("no proof location");
+    else if (distanceM > this.proofFlagM) issues.push(`${formatDistance(distanceM)} from report`);
+    else notes.push(`${formatDistance(distanceM)} from report`);
+
+    const created = r.createdAt ? new Date(r.createdAt).getTime() : NaN;
+    const proofTs = r.proofAt ? new Date(r.proofAt).getTime() : NaN;
+    const photoTs = r.proofPhotoAt ? new Date(r.proofPhotoAt).getTime() : NaN;
+    if (Number.isNaN(proofTs)) issues.push("no capture time");
+    else if (!Number.isNaN(created) && proofTs < created) issues.push("uploaded before report");
+    else if (!Number.isNaN(created)) notes.push(`${Math.max(0, Math.round((proofTs - created) / 3600000))}h after report`);
+    // Gallery photos keep their original timestamp; older than the report means a reused image
+    if (!Number.isNaN(photoTs) && !Number.isNaN(created) && photoTs < created) issues.push("photo older than report");
+
+    return { ok: issues.length === 0, distanceM, text: [...issues, ...notes].join(", ") };
+  },
+  // The task as listed, else from any cached task list, else from the server
+  async findVendorReport(id) {
+    const match = rows => (Array.isArray(rows) ? rows : rows?.items || []).find(r => String(r.id) === id);
+    const local = match(this._vendorRows)
+      || ["ASSIGNED", "IN_PROGRESS", "all"].map(f => match(Cache.get(`reports.vendor.${f}`, Infinity))).find(Boolean);
+    if (local) return local;
+    if (!navigator.onLine) return null;
+    try {
+      return await api(`/reports/${encodeURIComponent(id)}`, "GET");
+    } catch (e) {
+      if (!isNetworkError(e)) nativeLog(`vendor task lookup failed: ${e?.message || e}`);
+      return null;
+    }
+  },
+  // Arrival check-in: moves the task to IN_PROGRESS with the vendor's GPS fix
+  async vendorStart(reportId) {
     try {
       const s = Session.data; if (!s || s.role !== "vendor") return;
-      const id = $("#vReportId").value.trim(); const file = $("#vProof").files?.[0];
-      if (!id || !file) return toast("Enter Report ID & attach proof");
+      const id = String(reportId || $("#vReportId").value || "").trim();
+      if (!id) return toast("Enter Report ID");
 
-      // compress vendor proof too
-      const proofBase64 = await compressImage(file, 1280, 1280, 0.7);
+      let pos;
+      try {
+        pos = await currentPosition();
+      } catch (_) {
+        return toast("Location is required to check in");
+      }
 
-      if (!navigator.onLine) {
-        OfflineQueue.enqueueAction("vendor.complete", { reportId: id, proofBase64 });
+      // Without the report's location the distance rule can't be enforced, so don't check in blind
+      const report = await this.findVendorReport(id);
+      const lat = Number(report?.lat), lng = Number(report?.lng);
+      if (!report || report.lat == null || report.lng == null || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return toast("Can't find this task's location. Refresh your tasks and try again.");
+      }
+      const distanceM = Math.round(distanceMeters(pos.lat, pos.lng, lat, lng));
+      if (distanceM > this.checkInRejectM) {
+        return toast(`You are ${formatDistance(distanceM)} from the report. Move closer to start.`);
+      }
+      const flagged = distanceM > this.checkInFlagM;
+      const payload = {
+        reportId: id,
+        lat: pos.lat,
+        lng: pos.lng,
+        accuracy: pos.accuracy,
+        distanceM,
+        flagged,
+        checkedInAt: now()
+      };
+
+      if ((await this.post("vendor.start", payload)).queued) return toast("Offline. Check-in queued.");
+      toast(flagged ? "Started (check-in flagged: far from report)" : "Started");
+      this.refreshVendorTable();
+    } catch (e) { oops(e); }
+  },
+  async vendorComplete() {
+    try {
+      const s = Session.data; if (!s || s.role !== "vendor") return;
+      const id = $("#vReportId").value.trim();
+      const proof = UI.picked("proof");
+      if (!id || !proof.some(p => p.kind === "image")) return toast("Enter Report ID & attach at least one proof photo");
+
+      // Where and when the proof was captured, for admin verification
+      let pos = null;
+      try {
+        pos = await currentPosition();
+      } catch (_) {
+        toast("Location unavailable. Proof will be marked unverified.");
+      }
+      // Captured when the first proof was picked; a late submit (say, after a dead spot) doesn't move it
+      const picks = proof.map(p => new Date(p.pickedAt).getTime()).filter(t => !Number.isNaN(t));
+      const proofAt = picks.length ? new Date(Math.min(...picks)).toISOString() : now();
+      // Oldest photo wins: any reused gallery image should flag the proof
+      const taken = proof.map(p => p.takenAt).filter(Boolean);
+      const photoAt = taken.length ? new Date(Math.min(...taken)).toISOString() : null;
+      const report = (this._vendorRows || []).find(r => String(r.id) === id);
+      const rLat = Number(report?.lat), rLng = Number(report?.lng);
+      const proofDistanceM = pos && Number.isFinite(rLat) && Number.isFinite(rLng)
+        ? Math.round(distanceMeters(pos.lat, pos.lng, rLat, rLng))
+        : null;
+      const payload = await Media.attach({
+        reportId: id,
+        proofLat: pos?.lat ?? null,
+        proofLng: pos?.lng ?? null,
+        proofAccuracy: pos?.accuracy ?? null,
+        proofAt,
+        proofPhotoAt: photoAt,
+        proofDistanceM
+      }, "proof", proof);
+
+      if ((await this.post("vendor.complete", payload, { queueNow: Media.parked(payload) })).queued) {
         toast("Offline. Completion queued.");
-        updateNetStatus();
-        $("#vProof").value = ""; $("#vReportId").value = "";
+        $("#vProof").value = ""; $("#vReportId").value = ""; UI.clearPicked("proof");
         return;
       }
-      await api("/reports/vendor/complete", "POST", { reportId: id, proofBase64 });
-      toast("Completed");
-      $("#vProof").value = ""; $("#vReportId").value = "";
+      toast(proofDistanceM != null && proofDistanceM > this.proofFlagM
+        ? `Submitted for verification (proof is ${formatDistance(proofDistanceM)} from the report)`
+        : "Submitted for verification");
+      $("#vProof").value = ""; $("#vReportId").value = ""; UI.clearPicked("proof");
       this.refreshVendorTable(); this.refreshAdminTable(); this.refreshUserTable();
     } catch (e) { oops(e); }
   }
 };
 
+/* ---------------- Notifications (poll + diff, native via bridge) ---------------- */
+const Notify = {
+  intervalMs: 2 * 60 * 1000,
+  _timer: null,
+  _polling: false,
+  // Event kinds each role can switch on/off
+  kinds: {
+    user: { assigned: "A vendor was assigned", progress: "Work started", resolved: "Marked resolved" },
+    vendor: { newTask: "New task assigned", rejected: "Completion sent back", approved: "Completion approved" },
+    admin: { verification: "Completion awaiting verification", reopened: "Citizen reopened a report" }
+  },
+  prefs(role = Session.data?.role) {
+    const all = Store.get("notifyPrefs", {});
+    const kinds = Object.keys(this.kinds[role] || {});
+    const p = all[role] || {};
+    const events = {};
+    kinds.forEach(k => { events[k] = p.events?.[k] !== false; });
+    return { enabled: p.enabled !== false, events };
+  },
+  setPrefs(role, prefs) {
+    const all = Store.get("notifyPrefs", {});
+    all[role] = prefs;
+    Store.set("notifyPrefs", all);
+  },
+  permitted() {
+    if (window.NativeNotify) return !!NativeNotify.enabled();
+    return "Notification" in window && Notification.permission === "granted";
+  },
+  requestPermission() {
+    if (window.NativeNotify) NativeNotify.requestPermission();
+    else if ("Notification" in window) Notification.requestPermission().then(p => this.onPermission(p === "granted"));
+  },
+  onPermission(granted) {
+    if (!granted) toast("Notifications are blocked. You can enable them in system settings.");
+    UI.renderNotifySettings();
+  },
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.poll(), this.intervalMs);
+    document.addEventListener("visibilitychange", () => { if (!document.hidden) this.poll(); });
+    window.addEventListener("online", () => this.poll());
+  },
+
+  // Latest rows that matter for the signed-in role (first page is enough: changes bubble to the top)
+  async snapshotRows(role) {
+    if (role === "user") return (await Reports.fetchPage("/reports/me?status=all", "reports.me.all", null)).items;
+    if (role === "vendor") return await api("/reports/vendor?status=all", "GET", null, { cacheKey: "reports.vendor.all", cacheMaxAgeMs: 5 * 60 * 1000 }) || [];
+    if (role === "admin") return (await Reports.fetchPage(`/reports?${Query.params({}, "all")}`, Reports.allBase, null)).items;
+    return [];
+  },
+
+  snap(r) {
+    return { s: String(r.status || "NEW").toUpperCase(), rc: Number(r.reopenCount) || 0, rj: r.rejectionReason || "" };
+  },
+
+  snapKeepMs: 30 * 24 * 60 * 60 * 1000,
+  snapMax: 1000,
+  // Entries that dropped off the first page are kept so they don't look "new" later, but only
+  // while seen in the last snapKeepMs, and at most snapMax of them (most recently seen first)
+  merge(prev, next, nowTs = Date.now()) {
+    const all = {};
+    // Entries saved before this pruning have no timestamp: start their clock now
+    Object.entries(prev || {}).forEach(([id, s]) => { all[id] = { ...s, at: s.at ?? nowTs }; });
+    Object.entries(next).forEach(([id, s]) => { all[id] = { ...s, at: nowTs }; });
+    return Object.fromEntries(Object.entries(all)
+      .filter(([, s]) => nowTs - s.at <= this.snapKeepMs)
+      .sort((a, b) => b[1].at - a[1].at)
+      .slice(0, this.snapMax));
+  },
+
+  diff(role, prev, rows) {
+    const events = [];
+    rows.forEach(r => {
+      const id = String(r.id ?? "");
+      if (!id) return;
+      const cur = this.snap(r);
+      const was = prev[id];
+      const title = r.title || `Report ${id}`;
+      if (role === "vendor") {
+        if (!was && (cur.s === "ASSIGNED" || cur.s === "IN_PROGRESS")) events.push({ kind: "newTask", id, title: "New task", body: title });
+        else if (was && was.s === "VERIFICATION_PENDING" && (cur.s === "ASSIGNED" || cur.s === "IN_PROGRESS")) events.push({ kind: "rejected", id, title: "Completion sent back", body: cur.rj ? `${title}: ${cur.rj}` : title });
+        else if (was && was.s !== "RESOLVED" && cur.s === "RESOLVED") events.push({ kind: "approved", id, title: "Completion approved", body: title });
+        return;
+      }
+      if (!was) return;
+      if (role === "user" && was.s !== cur.s) {
+        if (cur.s === "ASSIGNED") events.push({ kind: "assigned", id, title: "Vendor assigned", body: title });
+        else if (cur.s === "IN_PROGRESS") events.push({ kind: "progress", id, title: "Cleanup started", body: title });
+        else if (cur.s === "RESOLVED") events.push({ kind: "resolved", id, title: "Report resolved", body: `${title}. Is the spot clean now?` });
+      }
+      if (role === "admin") {
+        if (was.s !== "VERIFICATION_PENDING" && cur.s === "VERIFICATION_PENDING") events.push({ kind: "verification", id, title: "Completion to verify", body: title });
+        if (cur.rc > was.rc) events.push({ kind: "reopened", id, title: "Report reopened", body: title });
+      }
+    });
+    return events;
+  },
+
+  async poll() {
+    const s = Session.data;
+    if (this._polling || !s || !JWT || isJwtExpired(JWT) || !navigator.onLine) return;
+    const prefs = this.prefs(s.role);
+    if (!prefs.enabled) return;
+    this._polling = true;
+    try {
+      const rows = await this.snapshotRows(s.role);
+      if (api.lastFromCache) return;
+      const key = `notifySnap:${sessionAccountKey(s)}`;
+      const prev = Store.get(key, null);
+      const next = {};
+      rows.forEach(r => { if (r.id != null) next[String(r.id)] = this.snap(r); });
+      Store.set(key, this.merge(prev, next));
+      if (!prev) return; // first run: baseline only
+      const events = this.diff(s.role, prev, rows).filter(ev => prefs.events[ev.kind]);
+      events.forEach(ev => this.fire(ev));
+      if (events.length && !document.hidden) UI.route();
+    } catch (e) {
+      if (!isNetworkError(e)) nativeLog(`notify poll failed: ${e?.message || e}`);
+    } finally {
+      this._polling = false;
+    }
+  },
+
+  // Stable positive int per report so repeat updates replace the same notification
+  notificationId(reportId) {
+    let h = 0;
+    for (const c of String(reportId)) h = (h * 31 + c.charCodeAt(0)) | 0;
+    return Math.abs(h) || 1;
+  },
+
+  fire(ev) {
+    if (window.NativeNotify) {
+      NativeNotify.notify(this.notificationId(ev.id), ev.title, ev.body, ev.id);
+    } else if ("Notification" in window && Notification.permission === "granted") {
+      const n = new Notification(ev.title, { body: ev.body, tag: `report-${ev.id}` });
+      n.onclick = () => { window.focus(); UI.openReportById(ev.id); };
+    } else {
+      toast(`${ev.title}: ${ev.body}`);
+    }
+  }
+};
+
 /* ---------------- UI ---------------- */
 const UI = {
   _map: null,
@@ -974,16 +3346,20 @@ const UI = {
     $("#whoami").textContent = s ? `${s.role.toUpperCase()} - ${s.name || s.vendorId || s.adminEmail}` : "Not signed in";
   },
 
+  _queueEditing: null,
+  // Every queued change, with retry/edit/discard; same list in each dashboard's panel
   renderPendingSync() {
-    const wrap = $("#pendingSync");
-    if (!wrap) return;
     const btn = $("#syncNowBtn");
-    const pending = OfflineQueue.pendingReports();
-    wrap.textContent = "";
+    if (btn) btn.disabled = OfflineQueue.count() === 0;
+    ["#pendingSync", "#pendingSyncVendor", "#pendingSyncAdmin"].forEach(sel => {
+      const wrap = $(sel);
+      if (wrap) this.renderQueueList(wrap);
+    });
+  },
 
-    if (btn) {
-      btn.disabled = pending.length === 0;
-    }
+  renderQueueList(wrap) {
+    const pending = OfflineQueue.mine();
+    wrap.textContent = "";
 
     if (!pending.length) {
       const p = document.createElement("p");
@@ -997,45 +3373,126 @@ const UI = {
     info.className = "text-xs text-slate-500 dark:text-slate-400";
     const retryMs = OfflineQueue.retryInMs();
     const retryText = retryMs > 0 ? `Next retry in ${Math.ceil(retryMs / 1000)}s.` : "Sync will retry automatically.";
-    info.textContent = navigator.onLine ? retryText : "Offline. Will sync when you’re online.";
+    const held = pending.filter(i => OfflineQueue.held(i)).length;
+    info.textContent = (navigator.onLine ? retryText : "Offline. Will sync when you’re online.")
+      + (held ? ` ${held} need${held === 1 ? "s" : ""} your attention.` : "");
     wrap.appendChild(info);
 
+    const smallBtn = (label, icon, onClick, tone = "") => {
+      const b = document.createElement("button");
+      b.className = `inline-flex items-center gap-1 rounded-md border px-2 py-1 text-[11px] font-semibold shadow-sm transition hover:-translate-y-0.5 ${tone || "border-slate-200 bg-white text-slate-700 hover:bg-slate-50 dark:border-slate-800 dark:bg-slate-900 dark:text-slate-200 dark:hover:bg-slate-800"}`;
+      b.innerHTML = `<i class="${icon}"></i>`;
+      b.appendChild(document.createTextNode(label));
+      b.addEventListener("click", onClick);
+      return b;
+    };
+
     pending.forEach((item) => {
       const row = document.createElement("div");
-      row.className = "flex flex-wrap items-center justify-between gap-2 rounded-lg border border-slate-200 bg-white/80 px-3 py-2 text-xs text-slate-600 shadow-sm dark:border-slate-800 dark:bg-slate-950 dark:text-slate-300";
+      row.className = "rounded-lg border border-slate-200 bg-white/80 px-3 py-2 text-xs text-slate-600 shadow-sm dark:border-slate-800 dark:bg-slate-950 dark:text-slate-300";
 
+      const top = document.createElement("div");
+      top.className = "flex flex-wrap items-center justify-between gap-2";
       const left = document.createElement("div");
       left.className = "min-w-0";
       const title = document.createElement("div");
       title.className = "font-semibold text-slate-800 dark:text-slate-100";
-      title.textContent = item.payload?.title || "Untitled report";
+      title.textContent = OfflineQueue.describe(item);
       const meta = document.createElement("div");
       meta.className = "text-[11px] text-slate-500 dark:text-slate-400";
       const d = item.createdAt ? new Date(item.createdAt) : null;
-      meta.textContent = d && !Number.isNaN(d.getTime()) ? d.toLocaleString() : "";
+      meta.textContent = [OfflineQueue.labels[item.type], d && !Number.isNaN(d.getTime()) ? d.toLocaleString() : ""].filter(Boolean).join(" · ");
       left.appendChild(title);
       left.appendChild(meta);
 
       const right = document.createElement("div");
-      right.className = "inline-flex items-center gap-2";
+      right.className = "inline-flex flex-wrap items-center gap-2";
       const chip = document.createElement("span");
-      chip.className = "inline-flex items-center rounded-full border border-indigo-200 bg-indigo-50 px-2 py-0.5 text-[10px] font-semibold text-indigo-700 dark:border-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-200";
-      chip.textContent = "QUEUED";
+      const tone = item.conflict
+        ? "border-amber-200 bg-amber-50 text-amber-700 dark:border-amber-700 dark:bg-amber-900/40 dark:text-amber-200"
+        : item.error
+          ? "border-rose-200 bg-rose-50 text-rose-700 dark:border-rose-700 dark:bg-rose-900/40 dark:text-rose-200"
+          : "border-indigo-200 bg-indigo-50 text-indigo-700 dark:border-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-200";
+      chip.className = `inline-flex items-center rounded-full border px-2 py-0.5 text-[10px] font-semibold ${tone}`;
+      chip.textContent = item.conflict ? "CONFLICT" : item.error ? "FAILED" : "QUEUED";
       right.appendChild(chip);
-
-      if (item.error) {
-        const err = document.createElement("span");
-        err.className = "text-[10px] text-rose-600 dark:text-rose-300";
-        err.textContent = `Error: ${item.error}`;
-        right.appendChild(err);
+      if (item.conflict) right.appendChild(smallBtn("Send anyway", "ri-send-plane-line", () => OfflineQueue.retry(item.id, true)));
+      else if (item.error) right.appendChild(smallBtn("Retry", "ri-refresh-line", () => OfflineQueue.retry(item.id)));
+      if (OfflineQueue.editable[item.type]) {
+        right.appendChild(smallBtn("Edit", "ri-edit-line", () => {
+          this._queueEditing = this._queueEditing === item.id ? null : item.id;
+          this.renderPendingSync();
+        }));
+      }
+      right.appendChild(smallBtn("Discard", "ri-delete-bin-line", () => {
+        if (!confirm(`Discard "${OfflineQueue.describe(item)}"? It will not be sent.`)) return;
+        OfflineQueue.discard(item.id);
+      }, "border-rose-200 bg-white text-rose-700 hover:bg-rose-50 dark:border-rose-800 dark:bg-slate-900 dark:text-rose-300 dark:hover:bg-rose-900/30"));
+
+      top.appendChild(left);
+      top.appendChild(right);
+      row.appendChild(top);
+
+      if (item.conflict || item.error) {
+        const why = document.createElement("div");
+        why.className = `mt-1 text-[11px] ${item.conflict ? "text-amber-700 dark:text-amber-300" : "text-rose-600 dark:text-rose-300"}`;
+        why.textContent = item.conflict
+          ? `${item.conflict.reason}. Edit it, send it anyway, or discard it.`
+          : `Error: ${item.error}`;
+        row.appendChild(why);
       }
 
-      row.appendChild(left);
-      row.appendChild(right);
+      if (this._queueEditing === item.id) row.appendChild(this.queueEditForm(item));
       wrap.appendChild(row);
     });
   },
 
+  queueEditForm(item) {
+    const form = document.createElement("form");
+    form.className = "mt-2 grid gap-2 border-t border-slate-200 pt-2 dark:border-slate-800 sm:grid-cols-2";
+    const inputs = {};
+    OfflineQueue.editable[item.type].forEach(([key, label, options]) => {
+      const wrap = document.createElement("label");
+      wrap.className = "block text-[11px] font-medium text-slate-600 dark:text-slate-400";
+      wrap.textContent = label;
+      const input = document.createElement(options ? "select" : "input");
+      input.className = "mt-1 block w-full rounded-md border border-slate-300 bg-white/80 px-2 py-1 text-xs text-slate-900 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 dark:border-slate-700 dark:bg-slate-900 dark:text-slate-100";
+      (options || []).forEach(v => {
+        const opt = document.createElement("option");
+        opt.value = v;
+        opt.textContent = v;
+        input.appendChild(opt);
+      });
+      input.value = item.payload?.[key] ?? "";
+      inputs[key] = input;
+      wrap.appendChild(input);
+      form.appendChild(wrap);
+    });
+    const actions = document.createElement("div");
+    actions.className = "flex items-end gap-2 sm:col-span-2";
+    const save = document.createElement("button");
+    save.type = "submit";
+    save.className = "inline-flex items-center gap-1 rounded-md bg-emerald-600 px-3 py-1 text-[11px] font-semibold text-white shadow-sm hover:bg-emerald-700";
+    save.textContent = "Save";
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.className = "inline-flex items-center gap-1 rounded-md border border-slate-200 bg-white px-3 py-1 text-[11px] font-semibold text-slate-700 dark:border-slate-800 dark:bg-slate-900 dark:text-slate-200";
+    cancel.textContent = "Cancel";
+    cancel.addEventListener("click", () => { this._queueEditing = null; this.renderPendingSync(); });
+    actions.appendChild(save);
+    actions.appendChild(cancel);
+    form.appendChild(actions);
+    form.addEventListener("submit", (ev) => {
+      ev.preventDefault();
+      const changes = {};
+      Object.entries(inputs).forEach(([k, el]) => { changes[k] = el.value.trim(); });
+      if (Object.values(changes).some(v => !v)) return toast("Fill in every field");
+      this._queueEditing = null;
+      OfflineQueue.edit(item.id, changes);
+    });
+    return form;
+  },
+
   renderSyncMeta() {
     const raw = Store.get("lastSyncAt", null);
     const ts = raw ? new Date(raw) : null;
@@ -1047,6 +3504,39 @@ const UI = {
     });
   },
 
+  // Login screen: changes other accounts left queued on this (shared) device
+  renderQueuedAccounts() {
+    const wrap = $("#queuedAccounts");
+    if (!wrap) return;
+    const owners = Object.entries(OfflineQueue.otherOwners());
+    wrap.textContent = "";
+    if (Session.data || !owners.length) {
+      wrap.classList.add("hidden");
+      return;
+    }
+    wrap.classList.remove("hidden");
+    const head = document.createElement("div");
+    head.className = "font-semibold";
+    head.textContent = "Changes waiting on this device";
+    wrap.appendChild(head);
+    const accounts = getOfflineAccounts();
+    owners.forEach(([owner, n]) => {
+      const acct = accounts.find(a => sessionAccountKey(a.session) === owner);
+      const [role, id] = String(owner).split(":");
+      const who = acct ? `${acct.name || acct.loginId} (${acct.role})` : `${id || "Unknown account"} (${role || "?"})`;
+      const row = document.createElement("div");
+      row.className = "mt-1 flex flex-wrap items-center justify-between gap-2 text-xs";
+      const label = document.createElement("span");
+      label.textContent = `${who}: ${n} pending`;
+      const state = document.createElement("span");
+      state.className = "text-[11px] text-slate-500 dark:text-slate-400";
+      state.textContent = savedTokenFor(owner) ? "Syncs automatically when online" : "Sign in as this account to sync";
+      row.appendChild(label);
+      row.appendChild(state);
+      wrap.appendChild(row);
+    });
+  },
+
   renderOfflineResume() {
     const wrap = $("#offlineResume");
     if (!wrap) return;
@@ -1063,9 +3553,9 @@ const UI = {
   },
 
   clearOfflineSession() {
-    Store.remove("offlineAccounts");
+    SecureStore.remove("offlineAccounts");
     Store.remove("lastSession");
-    Store.remove("lastJwt");
+    SecureStore.remove("lastJwt");
     Store.remove("lastLoginAt");
     Store.remove("lastLoginId");
     this.renderOfflineResume();
@@ -1101,14 +3591,18 @@ const UI = {
 
     if (!s) {
       this.renderOfflineResume();
+      this.renderQueuedAccounts();
       return;
     }
-    if (s.role === "user") {
-      UI.renderPendingSync();
-      await Reports.refreshUserTable();
-    }
+    UI.renderPendingSync();
+    // A fresh sign-in may unlock items that were waiting on this account's token
+    if (navigator.onLine) OfflineQueue.scheduleFlush();
+    await SLA.refresh();
+    if (s.role === "user") await Reports.refreshUserTable();
     if (s.role === "vendor") await Reports.refreshVendorTable();
     if (s.role === "admin") {
+      this.renderSlaSettings();
+      this.renderSavedSearches();
       await Vendors.refresh(); // keep vendor list in sync for assignment
       await Reports.refreshAdminTable();
     }
@@ -1190,6 +3684,7 @@ const UI = {
         "new": "border-slate-200 bg-slate-100 text-slate-700 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-200",
         "assigned": "border-amber-200 bg-amber-50 text-amber-700 dark:border-amber-700 dark:bg-amber-900/40 dark:text-amber-200",
         "in_progress": "border-sky-200 bg-sky-50 text-sky-700 dark:border-sky-700 dark:bg-sky-900/40 dark:text-sky-200",
+        "verification_pending": "border-violet-200 bg-violet-50 text-violet-700 dark:border-violet-700 dark:bg-violet-900/40 dark:text-violet-200",
         "resolved": "border-emerald-200 bg-emerald-50 text-emerald-700 dark:border-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-200",
         "queued": "border-indigo-200 bg-indigo-50 text-indigo-700 dark:border-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-200"
       };
@@ -1242,25 +3737,27 @@ const UI = {
         tdDetails.appendChild(addr);
       }
 
-      if (r.photoBase64 && /^data:image\//i.test(r.photoBase64)) {
+      const thumb = Media.src(r, "photo", true);
+      if (thumb) {
         const wrap = document.createElement("div");
         wrap.className = "mt-3 flex flex-wrap items-center gap-3";
         const img = document.createElement("img");
-        img.src = r.photoBase64;
+        img.src = thumb;
         img.alt = "Report photo";
         img.className = "report-thumb";
         img.loading = "lazy";
-        img.addEventListener("click", () => UI.openPhotoModal(r.photoBase64));
+        img.addEventListener("click", () => UI.openPhotoModal(null, Media.items(r, "photo")));
         const btn = document.createElement("button");
         btn.className = "inline-flex items-center gap-2 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs font-semibold text-slate-700 shadow-sm transition hover:-translate-y-0.5 hover:bg-slate-50 dark:border-slate-800 dark:bg-slate-900 dark:text-slate-200 dark:hover:bg-slate-800";
-        btn.innerHTML = "<i class=\"ri-image-2-line\"></i>View photo";
-        btn.addEventListener("click", () => UI.openPhotoModal(r.photoBase64));
+        const count = (r.photoMedia || []).length;
+        btn.innerHTML = count > 1 ? `<i class="ri-gallery-line"></i>View ${count} attachments` : "<i class=\"ri-image-2-line\"></i>View photo";
+        btn.addEventListener("click", () => UI.openPhotoModal(null, Media.items(r, "photo")));
         wrap.appendChild(img);
         wrap.appendChild(btn);
         tdDetails.appendChild(wrap);
       }
 
-      if (r.vendorProofBase64 && /^data:image\//i.test(r.vendorProofBase64)) {
+      if (Media.src(r, "vendorProof", true)) {
         const proofWrap = document.createElement("div");
         proofWrap.className = "mt-2 flex flex-wrap items-center gap-2";
         const proof = document.createElement("span");
@@ -1269,7 +3766,7 @@ const UI = {
         const proofBtn = document.createElement("button");
         proofBtn.className = "inline-flex items-center gap-2 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs font-semibold text-slate-700 shadow-sm transition hover:-translate-y-0.5 hover:bg-slate-50 dark:border-slate-800 dark:bg-slate-900 dark:text-slate-200 dark:hover:bg-slate-800";
         proofBtn.innerHTML = "<i class=\"ri-image-2-line\"></i>View proof";
-        proofBtn.addEventListener("click", () => UI.openPhotoModal(r.vendorProofBase64));
+        proofBtn.addEventListener("click", () => UI.openPhotoModal(null, Media.items(r, "vendorProof")));
         proofWrap.appendChild(proof);
         proofWrap.appendChild(proofBtn);
         tdDetails.appendChild(proofWrap);
@@ -1315,7 +3812,7 @@ const UI = {
 
     const thead = document.createElement("thead");
     const trh = document.createElement("tr");
-    ["ID", "View", "Copy ID"].forEach(h => {
+    ["ID", "View", "Copy ID", "Start"].forEach(h => {
       const th = document.createElement("th");
       th.className = "px-2 py-2 text-xs font-semibold uppercase tracking-wide text-slate-500 bg-slate-50 dark:bg-slate-900 dark:text-slate-400";
       th.textContent = h;
@@ -1335,6 +3832,20 @@ const UI = {
       tdId.className = "px-2 py-2 text-xs text-slate-500 dark:text-slate-400 whitespace-nowrap";
       tdId.textContent = idShort;
       if (idFull) tdId.title = idFull;
+      if (r.rejectionReason) {
+        const why = document.createElement("div");
+        why.className = "mt-1 whitespace-normal text-[11px] font-semibold text-rose-600 dark:text-rose-300";
+        why.textContent = `Rejected: ${r.rejectionReason}`;
+        tdId.appendChild(why);
+      }
+      const vSla = SLA.chip(r);
+      if (vSla) {
+        const wrap = document.createElement("div");
+        wrap.className = "mt-1";
+        wrap.appendChild(vSla);
+        tdId.appendChild(wrap);
+      }
+      if (SLA.breached(r) && !SLA.info(r).done) tr.classList.add("sla-row-breached");
 
       const tdView = document.createElement("td");
       tdView.className = "px-2 py-2";
@@ -1357,9 +3868,23 @@ const UI = {
       });
       tdCopy.appendChild(copyBtn);
 
+      const tdStart = document.createElement("td");
+      tdStart.className = "px-2 py-2";
+      if (String(r.status || "").toUpperCase() === "ASSIGNED") {
+        const startBtn = document.createElement("button");
+        startBtn.className = "inline-flex min-w-[72px] max-w-[120px] items-center justify-center gap-1 overflow-hidden whitespace-nowrap rounded-lg bg-emerald-600 px-2 py-1.5 text-[11px] font-semibold text-white shadow-sm transition hover:-translate-y-0.5 hover:bg-emerald-700";
+        startBtn.innerHTML = "<i class=\"ri-play-line\"></i><span class=\"truncate\">Start</span>";
+        startBtn.addEventListener("click", () => Reports.vendorStart(idFull));
+        tdStart.appendChild(startBtn);
+      } else {
+        tdStart.className = "px-2 py-2 text-[11px] text-slate-500 dark:text-slate-400";
+        tdStart.textContent = r.status || "-";
+      }
+
       tr.appendChild(tdId);
       tr.appendChild(tdView);
       tr.appendChild(tdCopy);
+      tr.appendChild(tdStart);
       tbody.appendChild(tr);
     });
 
@@ -1369,15 +3894,26 @@ const UI = {
   },
 
   renderAdminReports(tgt, rows) {
-    const allRows = (Reports._adminRows && Reports._adminRows.length) ? Reports._adminRows : rows || [];
-    const limit = Math.max(1, Reports._adminLimit || allRows.length);
-    const visible = allRows.slice(0, limit);
+    const visible = (Reports._adminRows && Reports._adminRows.length) ? Reports._adminRows : rows || [];
 
     const table = document.createElement("table");
     table.className = "w-full table-auto border-separate border-spacing-x-4 border-spacing-y-2 text-sm text-left text-slate-600 dark:text-slate-300";
 
     const thead = document.createElement("thead");
     const trh = document.createElement("tr");
+    const thSel = document.createElement("th");
+    thSel.className = "px-2 py-2 bg-slate-50 dark:bg-slate-900";
+    const selAll = document.createElement("input");
+    selAll.type = "checkbox";
+    selAll.className = "h-4 w-4 rounded border-slate-300 text-emerald-600 focus:ring-emerald-500";
+    selAll.title = "Select all shown";
+    selAll.checked = visible.length > 0 && visible.every(r => Reports._adminSelected.has(String(r.id ?? "")));
+    selAll.addEventListener("change", () => {
+      visible.forEach(r => Reports.toggleSelected(String(r.id ?? ""), selAll.checked));
+      tgt.querySelectorAll("tbody input[type=checkbox]").forEach(cb => { cb.checked = selAll.checked; });
+    });
+    thSel.appendChild(selAll);
+    trh.appendChild(thSel);
     ["ID", "View", "Copy ID"].forEach(h => {
       const th = document.createElement("th");
       th.className = "px-2 py-2 text-xs font-semibold uppercase tracking-wide text-slate-500 bg-slate-50 dark:bg-slate-900 dark:text-slate-400";
@@ -1394,10 +3930,32 @@ const UI = {
       const idFull = String(r.id ?? "");
       const idShort = idFull.length > 10 ? `${idFull.slice(0, 6)}...${idFull.slice(-4)}` : idFull;
 
+      const aSla = SLA.chip(r);
+      if (SLA.breached(r) && !SLA.info(r).done) tr.classList.add("sla-row-breached");
+
+      const tdSel = document.createElement("td");
+      tdSel.className = "px-2 py-2";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.className = "h-4 w-4 rounded border-slate-300 text-emerald-600 focus:ring-emerald-500";
+      cb.checked = Reports._adminSelected.has(idFull);
+      cb.setAttribute("aria-label", `Select report ${idFull}`);
+      cb.addEventListener("change", () => {
+        Reports.toggleSelected(idFull, cb.checked);
+        selAll.checked = visible.every(v => Reports._adminSelected.has(String(v.id ?? "")));
+      });
+      tdSel.appendChild(cb);
+
       const tdId = document.createElement("td");
       tdId.className = "px-2 py-2 text-xs text-slate-500 dark:text-slate-400 whitespace-nowrap";
       tdId.textContent = idShort;
       if (idFull) tdId.title = idFull;
+      if (aSla) {
+        const wrap = document.createElement("div");
+        wrap.className = "mt-1";
+        wrap.appendChild(aSla);
+        tdId.appendChild(wrap);
+      }
 
       const tdView = document.createElement("td");
       tdView.className = "px-2 py-2";
@@ -1418,10 +3976,12 @@ const UI = {
         const aSid = document.getElementById("aStatusId");
         if (aRid) aRid.value = idFull || "";
         if (aSid) aSid.value = idFull || "";
+        Vendors.populateSelect(["#aVendor"]);
         toast("Report ID copied");
       });
       tdCopy.appendChild(copyBtn);
 
+      tr.appendChild(tdSel);
       tr.appendChild(tdId);
       tr.appendChild(tdView);
       tr.appendChild(tdCopy);
@@ -1431,25 +3991,426 @@ const UI = {
     table.appendChild(thead);
     table.appendChild(tbody);
     tgt.appendChild(table);
+    this.renderPager(tgt, "#adminReports", Reports._adminPage, visible.length, () => Reports.loadMoreAdmin());
+  },
 
-    if (allRows.length > limit) {
-      const footer = document.createElement("div");
-      footer.className = "mt-3 flex flex-wrap items-center justify-between gap-2 px-4 pb-4";
-      const meta = document.createElement("div");
-      meta.className = "text-xs text-slate-500 dark:text-slate-400";
-      meta.textContent = `Showing ${visible.length} of ${allRows.length} reports`;
+  // Infinite scroll: a sentinel under the list pulls the next page as it scrolls into view
+  _pagers: {},
+  renderPager(tgt, key, page, count, loadMore) {
+    this._pagers[key]?.disconnect();
+    delete this._pagers[key];
+
+    const footer = document.createElement("div");
+    footer.className = "flex flex-wrap items-center justify-between gap-2 px-4 pb-4 pt-2";
+    const meta = document.createElement("div");
+    meta.className = "text-xs text-slate-500 dark:text-slate-400";
+    meta.textContent = page.done ? `${count} reports` : `Showing ${count} reports`;
+    footer.appendChild(meta);
+    tgt.appendChild(footer);
+    if (page.done) return;
+
+    if (page.error) {
       const btn = document.createElement("button");
       btn.className = "inline-flex items-center gap-2 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs font-semibold text-slate-700 shadow-sm transition hover:-translate-y-0.5 hover:bg-slate-50 dark:border-slate-800 dark:bg-slate-900 dark:text-slate-200 dark:hover:bg-slate-800";
-      btn.innerHTML = "<i class=\"ri-more-line\"></i>Load more";
-      btn.addEventListener("click", () => {
-        Reports._adminLimit = Math.min(allRows.length, limit + Reports._adminStep);
-        UI.renderTable("#adminReports", allRows);
-      });
-      footer.appendChild(meta);
+      btn.innerHTML = "<i class=\"ri-refresh-line\"></i>Retry loading more";
+      btn.addEventListener("click", loadMore);
       footer.appendChild(btn);
-      tgt.appendChild(footer);
+      return;
+    }
+
+    const sentinel = document.createElement("div");
+    sentinel.className = "inline-flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400";
+    sentinel.innerHTML = "<i class=\"ri-loader-4-line animate-spin\"></i>Loading more...";
+    footer.appendChild(sentinel);
+    if (!("IntersectionObserver" in window)) {
+      sentinel.addEventListener("click", loadMore);
+      return;
+    }
+    const io = new IntersectionObserver(entries => {
+      if (entries.some(en => en.isIntersecting)) {
+        io.disconnect();
+        loadMore();
+      }
+    }, { rootMargin: "300px 0px" });
+    io.observe(sentinel);
+    this._pagers[key] = io;
+  },
+  showAdminTab(name) {
+    const reports = $("#adminReportsPanel");
+    const analytics = $("#adminAnalyticsPanel");
+    if (!reports || !analytics) return;
+    const isAnalytics = name === "analytics";
+    reports.classList.toggle("hidden", isAnalytics);
+    analytics.classList.toggle("hidden", !isAnalytics);
+    $$("[data-admin-tab]").forEach(btn => {
+      const active = btn.dataset.adminTab === name;
+      btn.classList.toggle("border-emerald-600", active);
+      btn.classList.toggle("text-emerald-700", active);
+      btn.classList.toggle("border-transparent", !active);
+      btn.setAttribute("aria-selected", active ? "true" : "false");
+    });
+    if (isAnalytics) Reports.loadAnalytics();
+  },
+
+  renderAnalytics(stats) {
+    const wrap = $("#adminAnalytics");
+    if (!wrap) return;
+    wrap.textContent = "";
+    const fmtH = h => (h == null ? "-" : h < 48 ? `${h.toFixed(1)}h` : `${(h / 24).toFixed(1)}d`);
+    const card = (cls = "") => {
+      const el = document.createElement("div");
+      el.className = `rounded-xl border border-slate-200 bg-white/80 p-4 shadow-sm dark:border-slate-800 dark:bg-slate-950 ${cls}`;
+      return el;
+    };
+    const heading = (el, text) => {
+      const h = document.createElement("div");
+      h.className = "text-xs uppercase tracking-widest text-slate-500 dark:text-slate-400";
+      h.textContent = text;
+      el.appendChild(h);
+    };
+
+    const kpis = document.createElement("div");
+    kpis.className = "grid gap-3 grid-cols-2 md:grid-cols-3 lg:grid-cols-6";
+    [
+      ["Reports", String(stats.total)],
+      ["Open", String(stats.open)],
+      ["Overdue", String(stats.overdue)],
+      ["Resolved", String(stats.byStatus.RESOLVED || 0)],
+      ["Median to assign", fmtH(stats.medianAssignH)],
+      ["Median to resolve", fmtH(stats.medianResolveH)]
+    ].forEach(([label, value]) => {
+      const el = card();
+      heading(el, label);
+      const v = document.createElement("div");
+      v.className = "mt-1 text-2xl font-semibold";
+      v.textContent = value;
+      el.appendChild(v);
+      kpis.appendChild(el);
+    });
+    wrap.appendChild(kpis);
+
+    const charts = document.createElement("div");
+    charts.className = "mt-4 grid gap-4 md:grid-cols-2";
+    const statusCard = card();
+    heading(statusCard, "By status");
+    statusCard.appendChild(this.barChart(MAP_STATUSES.map(st => ({ label: st, value: stats.byStatus[st] || 0, color: STATUS_COLORS[st] }))));
+    const typeCard = card();
+    heading(typeCard, "By waste type");
+    typeCard.appendChild(this.barChart(Object.keys(stats.byType).sort((a, b) => stats.byType[b] - stats.byType[a])
+      .map(k => ({ label: k, value: stats.byType[k], color: "#14b8a6" }))));
+    charts.appendChild(statusCard);
+    charts.appendChild(typeCard);
+    wrap.appendChild(charts);
+
+    const trendCard = card("mt-4");
+    heading(trendCard, `Daily trend (last ${stats.trend.length} days)`);
+    trendCard.appendChild(this.lineChart(stats.trend, [
+      { key: "created", label: "Created", color: "#6366f1" },
+      { key: "resolved", label: "Resolved", color: "#10b981" }
+    ]));
+    wrap.appendChild(trendCard);
+
+    const vendorCard = card("mt-4 overflow-x-auto");
+    heading(vendorCard, "Vendors");
+    const table = document.createElement("table");
+    table.className = "mt-2 w-full text-left text-xs text-slate-600 dark:text-slate-300";
+    const head = document.createElement("tr");
+    ["Vendor", "Assigned", "Resolved", "Reopened", "Reopen rate"].forEach(h => {
+      const th = document.createElement("th");
+      th.className = "px-2 py-1.5 font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400";
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+    stats.vendors.forEach(v => {
+      const tr = document.createElement("tr");
+      tr.className = "border-t border-slate-200/70 dark:border-slate-800";
+      const name = (Vendors.cache || []).find(x => String(x.id) === String(v.id))?.name || v.id;
+      [name, v.assigned, v.resolved, v.reopened, `${Math.round(v.reopenRate * 100)}%`].forEach(val => {
+        const td = document.createElement("td");
+        td.className = "px-2 py-1.5";
+        td.textContent = String(val);
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    if (!stats.vendors.length) {
+      const p = document.createElement("p");
+      p.className = "mt-2 text-xs text-slate-500 dark:text-slate-400";
+      p.textContent = "No vendor assignments yet.";
+      vendorCard.appendChild(p);
+    } else {
+      vendorCard.appendChild(table);
+    }
+    wrap.appendChild(vendorCard);
+  },
+
+  // Horizontal bars as inline SVG (no chart library in the bundle)
+  barChart(items) {
+    const ns = "http://www.w3.org/2000/svg";
+    const rowH = 22, labelW = 130, width = 420;
+    const max = Math.max(1, ...items.map(i => i.value));
+    const svg = document.createElementNS(ns, "svg");
+    svg.setAttribute("viewBox", `0 0 ${width} ${Math.max(rowH, items.length * rowH)}`);
+    svg.setAttribute("class", "mt-2 w-full chart-svg");
+    items.forEach((it, idx) => {
+      const y = idx * rowH;
+      const label = document.createElementNS(ns, "text");
+      label.setAttribute("x", "0");
+      label.setAttribute("y", String(y + 15));
+      label.textContent = it.label;
+      const bar = document.createElementNS(ns, "rect");
+      const w = Math.round((width - labelW - 40) * it.value / max);
+      bar.setAttribute("x", String(labelW));
+      bar.setAttribute("y", String(y + 4));
+      bar.setAttribute("width", String(Math.max(w, it.value ? 2 : 0)));
+      bar.setAttribute("height", String(rowH - 8));
+      bar.setAttribute("rx", "3");
+      bar.setAttribute("fill", it.color);
+      const val = document.createElementNS(ns, "text");
+      val.setAttribute("x", String(labelW + w + 6));
+      val.setAttribute("y", String(y + 15));
+      val.textContent = String(it.value);
+      svg.appendChild(label);
+      svg.appendChild(bar);
+      svg.appendChild(val);
+    });
+    return svg;
+  },
+
+  lineChart(points, series) {
+    const ns = "http://www.w3.org/2000/svg";
+    const width = 600, height = 160, pad = 24;
+    const max = Math.max(1, ...points.flatMap(p => series.map(s => p[s.key])));
+    const x = i => pad + (points.length > 1 ? i * (width - pad * 2) / (points.length - 1) : 0);
+    const y = v => height - pad - v * (height - pad * 2) / max;
+    const svg = document.createElementNS(ns, "svg");
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svg.setAttribute("class", "mt-2 w-full chart-svg");
+
+    const axis = document.createElementNS(ns, "line");
+    axis.setAttribute("x1", String(pad));
+    axis.setAttribute("x2", String(width - pad));
+    axis.setAttribute("y1", String(height - pad));
+    axis.setAttribute("y2", String(height - pad));
+    axis.setAttribute("class", "chart-axis");
+    svg.appendChild(axis);
+
+    const maxLabel = document.createElementNS(ns, "text");
+    maxLabel.setAttribute("x", "0");
+    maxLabel.setAttribute("y", String(pad));
+    maxLabel.textContent = String(max);
+    svg.appendChild(maxLabel);
+
+    [0, points.length - 1].forEach(i => {
+      if (!points[i]) return;
+      const t = document.createElementNS(ns, "text");
+      t.setAttribute("x", String(x(i)));
+      t.setAttribute("y", String(height - 6));
+      t.setAttribute("text-anchor", i === 0 ? "start" : "end");
+      t.textContent = points[i].day.slice(5);
+      svg.appendChild(t);
+    });
+
+    series.forEach((s, si) => {
+      const path = document.createElementNS(ns, "polyline");
+      path.setAttribute("points", points.map((p, i) => `${x(i)},${y(p[s.key])}`).join(" "));
+      path.setAttribute("fill", "none");
+      path.setAttribute("stroke", s.color);
+      path.setAttribute("stroke-width", "2");
+      svg.appendChild(path);
+      const legend = document.createElementNS(ns, "text");
+      legend.setAttribute("x", String(width - pad));
+      legend.setAttribute("y", String(12 + si * 14));
+      legend.setAttribute("text-anchor", "end");
+      legend.style.fill = s.color;
+      legend.textContent = s.label;
+      svg.appendChild(legend);
+    });
+    return svg;
+  },
+
+  renderSlaSettings() {
+    const wrap = $("#slaSettings");
+    if (!wrap) return;
+    wrap.textContent = "";
+    const field = (label, value, data) => {
+      const field = document.createElement("label");
+      field.className = "flex items-center justify-between gap-2 rounded-lg border border-slate-200 bg-white/80 px-3 py-1.5 text-xs dark:border-slate-800 dark:bg-slate-950";
+      const name = document.createElement("span");
+      name.className = "font-semibold text-slate-700 dark:text-slate-200";
+      name.textContent = label;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "1";
+      input.step = "1";
+      input.value = String(value);
+      Object.assign(input.dataset, data);
+      input.className = "w-20 rounded-md border border-slate-300 bg-white/80 p-1 text-right text-xs text-slate-900 dark:border-slate-700 dark:bg-slate-900 dark:text-slate-100";
+      const unit = document.createElement("span");
+      unit.className = "text-slate-500 dark:text-slate-400";
+      unit.textContent = "h";
+      const right = document.createElement("span");
+      right.className = "inline-flex items-center gap-1";
+      right.appendChild(input);
+      right.appendChild(unit);
+      field.appendChild(name);
+      field.appendChild(right);
+      wrap.appendChild(field);
+    };
+    const stages = SLA.stageTargets();
+    field("created → assigned", stages.assign, { stage: "assign" });
+    field("assigned → started", stages.start, { stage: "start" });
+    const t = SLA.targets();
+    Object.keys(SLA.defaults).forEach(k => field(k, t[k], { wasteType: k }));
+  },
+
+  async saveSlaSettings() {
+    try {
+      const map = {}, stages = {};
+      $$("#slaSettings input[data-waste-type]").forEach(el => { map[el.dataset.wasteType] = el.value; });
+      $$("#slaSettings input[data-stage]").forEach(el => { stages[el.dataset.stage] = el.value; });
+      const sent = await SLA.setTargets(map, stages);
+      toast(sent ? "SLA targets saved" : "SLA targets saved on this device. They'll sync when you're online.");
+      Reports.refreshAdminTable();
+    } catch (e) {
+      oops(e);
+      // The edit was rejected and the server's targets are back in place
+      this.renderSlaSettings();
     }
   },
+
+  renderSearchHint(query) {
+    const hint = $("#aSearchHint");
+    if (!hint) return;
+    hint.textContent = "";
+    hint.classList.toggle("text-rose-600", query.errors.length > 0);
+    hint.classList.toggle("dark:text-rose-300", query.errors.length > 0);
+    if (query.errors.length) {
+      hint.textContent = query.errors.join(" · ");
+      return;
+    }
+    const parts = Query.keys.filter(k => query[k] != null).map(k =>
+      k === "near" ? `within ${formatDistance(query.near.radiusM)} of ${query.near.lat},${query.near.lng}` : `${k} ${query[k]}`);
+    if (query.text) parts.push(`"${query.text}"`);
+    hint.textContent = parts.length ? `Matching ${parts.join(", ")}` : "Try status:ASSIGNED type:plastic vendor:V12 before:2026-09-01 near:12.97,77.59,500m";
+  },
+
+  renderSavedSearches() {
+    const wrap = $("#aSavedSearches");
+    if (!wrap) return;
+    wrap.textContent = "";
+    const list = Query.saved().slice().sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0));
+    wrap.classList.toggle("hidden", !list.length);
+    list.forEach(s => {
+      const chip = document.createElement("span");
+      chip.className = `inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-[11px] font-semibold shadow-sm ${s.pinned ? "border-emerald-300 bg-emerald-50 text-emerald-800 dark:border-emerald-800 dark:bg-emerald-950/50 dark:text-emerald-200" : "border-slate-200 bg-white text-slate-700 dark:border-slate-800 dark:bg-slate-950 dark:text-slate-200"}`;
+      const pin = document.createElement("button");
+      pin.type = "button";
+      pin.title = s.pinned ? "Unpin" : "Pin";
+      pin.innerHTML = s.pinned ? "<i class=\"ri-pushpin-fill\"></i>" : "<i class=\"ri-pushpin-line\"></i>";
+      pin.addEventListener("click", () => { Query.togglePin(s.q); this.renderSavedSearches(); });
+      const apply = document.createElement("button");
+      apply.type = "button";
+      apply.className = "max-w-[14rem] truncate";
+      apply.textContent = s.q;
+      apply.addEventListener("click", () => this.applySearch(s.q));
+      const del = document.createElement("button");
+      del.type = "button";
+      del.title = "Remove";
+      del.innerHTML = "<i class=\"ri-close-line\"></i>";
+      del.addEventListener("click", () => { Query.remove(s.q); this.renderSavedSearches(); });
+      chip.appendChild(pin);
+      chip.appendChild(apply);
+      chip.appendChild(del);
+      wrap.appendChild(chip);
+    });
+  },
+
+  saveSearch() {
+    const q = $("#aSearch")?.value || "";
+    if (!Query.save(q)) return toast("Type a search first");
+    this.renderSavedSearches();
+    toast("Search saved");
+  },
+
+  applySearch(q) {
+    const input = $("#aSearch");
+    if (input) input.value = q;
+    Reports.refreshAdminTable();
+  },
+
+  renderBulkBar() {
+    const bar = $("#aBulkBar");
+    if (!bar) return;
+    const n = Reports._adminSelected.size;
+    bar.classList.toggle("hidden", n === 0);
+    const count = $("#aBulkCount");
+    if (count) count.textContent = `${n} selected`;
+  },
+
+  renderBulkResults(results) {
+    const wrap = $("#aBulkResults");
+    if (!wrap) return;
+    wrap.textContent = "";
+    wrap.classList.toggle("hidden", !results.length);
+    const styles = {
+      ok: { label: "Updated", cls: "text-emerald-700 dark:text-emerald-300" },
+      queued: { label: "Queued offline", cls: "text-indigo-700 dark:text-indigo-300" },
+      failed: { label: "Failed", cls: "text-rose-600 dark:text-rose-300" }
+    };
+    results.forEach(r => {
+      const row = document.createElement("div");
+      row.className = "flex flex-wrap items-center justify-between gap-2 rounded-lg border border-slate-200 bg-white/80 px-3 py-1.5 text-xs dark:border-slate-800 dark:bg-slate-950";
+      const id = document.createElement("span");
+      id.className = "text-slate-600 dark:text-slate-300";
+      id.textContent = r.id;
+      const st = document.createElement("span");
+      const style = styles[r.state] || styles.failed;
+      st.className = `font-semibold ${style.cls}`;
+      st.textContent = r.error ? `${style.label}: ${r.error}` : style.label;
+      row.appendChild(id);
+      row.appendChild(st);
+      wrap.appendChild(row);
+    });
+  },
+
+  renderAdminDuplicates(rows) {
+    const wrap = $("#adminDuplicates");
+    if (!wrap) return;
+    const groups = Duplicates.group(rows);
+    wrap.textContent = "";
+    wrap.classList.toggle("hidden", !groups.length);
+    if (!groups.length) return;
+
+    const details = document.createElement("details");
+    details.className = "rounded-xl border border-amber-200 bg-amber-50/70 p-3 text-sm text-amber-900 dark:border-amber-800 dark:bg-amber-950/40 dark:text-amber-200";
+    const summary = document.createElement("summary");
+    summary.className = "cursor-pointer font-semibold";
+    summary.textContent = `Possible duplicates (${groups.length} group${groups.length === 1 ? "" : "s"})`;
+    details.appendChild(summary);
+
+    groups.forEach(group => {
+      const box = document.createElement("div");
+      box.className = "mt-2 flex flex-wrap items-center gap-2 rounded-lg border border-amber-200 bg-white/80 px-3 py-2 text-xs dark:border-amber-800 dark:bg-slate-950";
+      const label = document.createElement("span");
+      label.className = "font-semibold";
+      label.textContent = `${group.length} reports${group[0].wasteType ? ` - ${group[0].wasteType}` : ""}:`;
+      box.appendChild(label);
+      group.forEach(r => {
+        const idFull = String(r.id ?? "");
+        const btn = document.createElement("button");
+        btn.className = "report-chip";
+        btn.title = idFull;
+        btn.textContent = `${r.title || "Report"} (${r.status || "NEW"})`;
+        btn.addEventListener("click", () => UI.openReportModal(r));
+        box.appendChild(btn);
+      });
+      details.appendChild(box);
+    });
+    wrap.appendChild(details);
+  },
+
   renderUserReports(tgt, rows) {
     const badgeClass = st => {
       const k = (st || "").toLowerCase();
@@ -1457,6 +4418,7 @@ const UI = {
         "new": "border-slate-200 bg-slate-100 text-slate-700 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-200",
         "assigned": "border-amber-200 bg-amber-50 text-amber-700 dark:border-amber-700 dark:bg-amber-900/40 dark:text-amber-200",
         "in_progress": "border-sky-200 bg-sky-50 text-sky-700 dark:border-sky-700 dark:bg-sky-900/40 dark:text-sky-200",
+        "verification_pending": "border-violet-200 bg-violet-50 text-violet-700 dark:border-violet-700 dark:bg-violet-900/40 dark:text-violet-200",
         "resolved": "border-emerald-200 bg-emerald-50 text-emerald-700 dark:border-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-200"
       };
       return map[k] || map.new;
@@ -1465,9 +4427,7 @@ const UI = {
     const list = document.createElement("div");
     list.className = "space-y-3 p-4";
 
-    const allRows = (Reports._userRows && Reports._userRows.length) ? Reports._userRows : rows || [];
-    const limit = Math.max(1, Reports._userLimit || allRows.length);
-    const visible = allRows.slice(0, limit);
+    const visible = (Reports._userRows && Reports._userRows.length) ? Reports._userRows : rows || [];
 
     visible.forEach(r => {
       const card = document.createElement("div");
@@ -1511,6 +4471,16 @@ const UI = {
       chips.appendChild(statusChip);
       chips.appendChild(idChip);
       chips.appendChild(timeChip);
+      if (r.wasteType) {
+        const typeChip = document.createElement("span");
+        typeChip.className = "report-chip";
+        typeChip.textContent = r.wasteTypeSource === "device" ? `${r.wasteType} (est.)` : r.wasteType;
+        if (r.wasteTypeSource === "device") typeChip.title = "On-device guess. Updated once the report syncs.";
+        chips.appendChild(typeChip);
+      }
+      const slaChip = SLA.chip(r);
+      if (slaChip) chips.appendChild(slaChip);
+      if (SLA.breached(r) && !SLA.info(r).done) card.classList.add("sla-card-breached");
 
       left.appendChild(title);
       left.appendChild(desc);
@@ -1530,24 +4500,7 @@ const UI = {
     });
 
     tgt.appendChild(list);
-
-    if (allRows.length > limit) {
-      const footer = document.createElement("div");
-      footer.className = "mt-3 flex flex-wrap items-center justify-between gap-2 px-4 pb-4";
-      const meta = document.createElement("div");
-      meta.className = "text-xs text-slate-500 dark:text-slate-400";
-      meta.textContent = `Showing ${visible.length} of ${allRows.length} reports`;
-      const btn = document.createElement("button");
-      btn.className = "inline-flex items-center gap-2 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs font-semibold text-slate-700 shadow-sm transition hover:-translate-y-0.5 hover:bg-slate-50 dark:border-slate-800 dark:bg-slate-900 dark:text-slate-200 dark:hover:bg-slate-800";
-      btn.innerHTML = "<i class=\"ri-more-line\"></i>Load more";
-      btn.addEventListener("click", () => {
-        Reports._userLimit = Math.min(allRows.length, limit + Reports._userStep);
-        UI.renderTable("#userReports", allRows);
-      });
-      footer.appendChild(meta);
-      footer.appendChild(btn);
-      tgt.appendChild(footer);
-    }
+    this.renderPager(tgt, "#userReports", Reports._userPage, visible.length, () => Reports.loadMoreUser());
   },
 
   /* -------- Map Picker (Leaflet) -------- */
@@ -1627,13 +4580,600 @@ const UI = {
     setTimeout(() => modal.classList.add("hidden"), 200);
   },
 
+  /* -------- Admin Map (Leaflet) -------- */
+  _adminMap: null,
+  _adminMapLayer: null,
+  _adminMapHidden: Store.get("adminMapHidden", []),
+  _heatLayer: null,
+  _heat: Store.get("adminHeat", { on: false, markers: true, range: 1, type: "all" }),
+  heatRanges: [7, 30, 90],
+
+  openAdminMap() {
+    const modal = $("#adminMapModal");
+    const card = $("#adminMapModalCard");
+    if (!modal || !card) return;
+    modal.classList.remove("hidden");
+    modal.setAttribute("aria-hidden", "false");
+    document.body.classList.add("overflow-hidden");
+    requestAnimationFrame(() => {
+      modal.classList.remove("opacity-0");
+      modal.classList.add("opacity-100");
+      card.classList.remove("opacity-0", "scale-95");
+      card.classList.add("opacity-100", "scale-100");
+    });
+
+    if (!this._adminMap) {
+      try {
+        this._adminMap = L.map("adminMap", { zoomControl: true, attributionControl: false }).setView([12.9716, 77.5946], 12);
+        L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom: 19 }).addTo(this._adminMap);
+        this._adminMapLayer = L.layerGroup().addTo(this._adminMap);
+        this._heatLayer = heatLayer([]);
+        this._adminMap.on("zoomend", () => this.renderAdminMap());
+      } catch (e) {
+        toast("Map failed to load.");
+        return;
+      }
+    }
+    this.syncHeatControls();
+    setTimeout(() => {
+      this._adminMap?.invalidateSize();
+      this.renderAdminMap(true);
+      if (this._heat.on) this.renderHeatmap(true);
+    }, 100);
+  },
+
+  syncHeatControls() {
+    const h = this._heat;
+    if ($("#heatOn")) $("#heatOn").checked = !!h.on;
+    if ($("#heatMarkers")) $("#heatMarkers").checked = h.markers !== false;
+    if ($("#heatRange")) $("#heatRange").value = String(h.range);
+    if ($("#heatRangeLabel")) $("#heatRangeLabel").textContent = `Last ${this.heatRanges[h.range] || 30} days`;
+    $("#heatControls")?.classList.toggle("opacity-50", !h.on);
+  },
+
+  setHeat() {
+    this._heat = {
+      on: !!$("#heatOn")?.checked,
+      markers: !!$("#heatMarkers")?.checked,
+      range: Number($("#heatRange")?.value || 1),
+      type: $("#heatType")?.value || "all"
+    };
+    Store.set("adminHeat", this._heat);
+    this.syncHeatControls();
+    this.renderAdminMap();
+    this.renderHeatmap();
+  },
+
+  async renderHeatmap(reload = false) {
+    const map = this._adminMap;
+    const layer = this._heatLayer;
+    if (!map || !layer) return;
+    const h = this._heat;
+    if (!h.on) {
+      map.removeLayer(layer);
+      $("#heatMeta")?.classList.add("hidden");
+      return;
+    }
+    if (reload || !Reports._heatRows) await Reports.loadHeatRows();
+    const all = Reports._heatRows || [];
+
+    // Waste-type options come from the data so new categories show up without a release
+    const sel = $("#heatType");
+    if (sel) {
+      const types = Array.from(new Set(all.map(r => String(r.wasteType || "unknown").toLowerCase()))).sort();
+      if (h.type !== "all" && !types.includes(h.type)) types.push(h.type);
+      sel.textContent = "";
+      ["all", ...types].forEach(t => {
+        const opt = document.createElement("option");
+        opt.value = t;
+        opt.textContent = t === "all" ? "All types" : t;
+        sel.appendChild(opt);
+      });
+      sel.value = h.type;
+    }
+
+    const days = this.heatRanges[h.range] || 30;
+    const since = Date.now() - days * 86400000;
+    const rows = all.filter(r => {
+      const lat = Number(r.lat), lng = Number(r.lng);
+      if (r.lat == null || r.lng == null || !Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+      const t = r.createdAt ? new Date(r.createdAt).getTime() : NaN;
+      if (Number.isNaN(t) || t < since) return false;
+      return h.type === "all" || String(r.wasteType || "unknown").toLowerCase() === h.type;
+    });
+    layer.setPoints(rows.map(r => [Number(r.lat), Number(r.lng)]));
+    if (!map.hasLayer(layer)) layer.addTo(map);
+
+    const meta = $("#heatMeta");
+    if (meta) {
+      meta.classList.remove("hidden");
+      meta.textContent = rows.length
+        ? `Heatmap: ${rows.length} reports in the last ${days} days`
+        : `Heatmap: no located reports in the last ${days} days`;
+    }
+  },
+
+  renderAdminMapLegend(rows) {
+    const wrap = $("#adminMapLegend");
+    if (!wrap) return;
+    wrap.textContent = "";
+    const hidden = new Set(this._adminMapHidden);
+    MAP_STATUSES.forEach(st => {
+      const count = rows.filter(r => statusKey(r.status) === st).length;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `inline-flex items-center gap-1.5 rounded-full border border-slate-200 bg-white px-2.5 py-1 text-[11px] font-semibold text-slate-700 shadow-sm transition dark:border-slate-800 dark:bg-slate-950 dark:text-slate-200 ${hidden.has(st) ? "opacity-40" : ""}`;
+      btn.setAttribute("aria-pressed", hidden.has(st) ? "false" : "true");
+      const dot = document.createElement("span");
+      dot.className = "h-2.5 w-2.5 rounded-full";
+      dot.style.background = STATUS_COLORS[st];
+      const label = document.createElement("span");
+      label.textContent = `${st} (${count})`;
+      btn.appendChild(dot);
+      btn.appendChild(label);
+      btn.addEventListener("click", () => this.toggleAdminMapStatus(st));
+      wrap.appendChild(btn);
+    });
+  },
+
+  toggleAdminMapStatus(st) {
+    const hidden = new Set(this._adminMapHidden);
+    if (hidden.has(st)) hidden.delete(st);
+    else hidden.add(st);
+    this._adminMapHidden = Array.from(hidden);
+    Store.set("adminMapHidden", this._adminMapHidden);
+    this.renderAdminMap();
+  },
+
+  renderAdminMap(fit = false) {
+    const map = this._adminMap;
+    const layer = this._adminMapLayer;
+    if (!map || !layer) return;
+    layer.clearLayers();
+
+    const located = (Reports._adminRows || []).filter(r => Number.isFinite(Number(r.lat)) && Number.isFinite(Number(r.lng)));
+    this.renderAdminMapLegend(located);
+    // Heatmap can be viewed on its own with markers switched off
+    if (this._heat.on && this._heat.markers === false) {
+      const meta = $("#adminMapMeta");
+      if (meta) meta.textContent = "Markers hidden";
+      return;
+    }
+    const hidden = new Set(this._adminMapHidden);
+    const rows = located.filter(r => !hidden.has(statusKey(r.status)));
+
+    const meta = $("#adminMapMeta");
+    if (meta) meta.textContent = `${rows.length} of ${(Reports._adminRows || []).length} reports on map`;
+    if (!rows.length) return;
+
+    const zoom = map.getZoom();
+    const groups = zoom >= 17 ? rows.map(r => [r]) : clusterByPixel(map, rows, zoom);
+    groups.forEach(group => {
+      if (group.length === 1) {
+        const r = group[0];
+        const color = STATUS_COLORS[statusKey(r.status)];
+        const m = L.circleMarker([Number(r.lat), Number(r.lng)], {
+          radius: 8, color: "#ffffff", weight: 2, fillColor: color, fillOpacity: 0.95
+        });
+        m.bindTooltip(`${r.title || "Report"} - ${statusKey(r.status)}`);
+        m.on("click", () => UI.openReportModal(r));
+        m.addTo(layer);
+        return;
+      }
+
+      // Cluster: colour by the most common status, click to zoom in
+      const counts = {};
+      group.forEach(r => { const k = statusKey(r.status); counts[k] = (counts[k] || 0) + 1; });
+      const top = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+      const lat = group.reduce((s, r) => s + Number(r.lat), 0) / group.length;
+      const lng = group.reduce((s, r) => s + Number(r.lng), 0) / group.length;
+      const size = group.length < 10 ? 32 : group.length < 100 ? 40 : 48;
+      const icon = L.divIcon({
+        className: "",
+        html: `<div class="map-cluster" style="width:${size}px;height:${size}px;background:${STATUS_COLORS[top]}">${group.length}</div>`,
+        iconSize: [size, size]
+      });
+      const m = L.marker([lat, lng], { icon });
+      m.bindTooltip(Object.keys(counts).map(k => `${k}: ${counts[k]}`).join(", "));
+      m.on("click", () => {
+        const bounds = L.latLngBounds(group.map(r => [Number(r.lat), Number(r.lng)]));
+        map.fitBounds(bounds.pad(0.2), { maxZoom: 18 });
+      });
+      m.addTo(layer);
+    });
+
+    if (fit) {
+      const bounds = L.latLngBounds(rows.map(r => [Number(r.lat), Number(r.lng)]));
+      map.fitBounds(bounds.pad(0.1), { maxZoom: 16 });
+    }
+  },
+
+  closeAdminMap() {
+    const modal = $("#adminMapModal");
+    const card = $("#adminMapModalCard");
+    if (!modal || !card) return;
+    card.classList.add("opacity-0", "scale-95");
+    card.classList.remove("opacity-100", "scale-100");
+    modal.classList.remove("opacity-100");
+    modal.classList.add("opacity-0");
+    modal.setAttribute("aria-hidden", "true");
+    setTimeout(() => {
+      modal.classList.add("hidden");
+      document.body.classList.remove("overflow-hidden");
+    }, 200);
+  },
+
+  /* -------- Vendor Route (Leaflet) -------- */
+  _routeMap: null,
+  _routeLayer: null,
+
+  openRouteModal(start, stops) {
+    const modal = $("#routeModal");
+    const card = $("#routeModalCard");
+    if (!modal || !card) return;
+    modal.classList.remove("hidden");
+    modal.setAttribute("aria-hidden", "false");
+    document.body.classList.add("overflow-hidden");
+    requestAnimationFrame(() => {
+      modal.classList.remove("opacity-0");
+      modal.classList.add("opacity-100");
+      card.classList.remove("opacity-0", "scale-95");
+      card.classList.add("opacity-100", "scale-100");
+    });
+
+    const total = Route.length(start || stops[0], stops);
+    const meta = $("#routeMeta");
+    if (meta) meta.textContent = `${stops.length} stop${stops.length === 1 ? "" : "s"} | ${formatDistance(total)} total`;
+    this.renderRouteList(start, stops);
+
+    if (!this._routeMap) {
+      try {
+        this._routeMap = L.map("routeMap", { zoomControl: true, attributionControl: false }).setView([stops[0].lat, stops[0].lng], 13);
+        L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom: 19 }).addTo(this._routeMap);
+        this._routeLayer = L.layerGroup().addTo(this._routeMap);
+      } catch (e) {
+        toast("Map failed to load. Use the checklist.");
+        return;
+      }
+    }
+    setTimeout(() => {
+      const map = this._routeMap;
+      map.invalidateSize();
+      this._routeLayer.clearLayers();
+      const line = [...(start ? [start] : []), ...stops].map(p => [p.lat, p.lng]);
+      L.polyline(line, { color: "#10b981", weight: 4, opacity: 0.8 }).addTo(this._routeLayer);
+      if (start) {
+        L.circleMarker([start.lat, start.lng], { radius: 8, color: "#ffffff", weight: 2, fillColor: "#0f172a", fillOpacity: 1 })
+          .bindTooltip("You are here")
+          .addTo(this._routeLayer);
+      }
+      stops.forEach((r, idx) => {
+        const icon = L.divIcon({
+          className: "",
+          html: `<div class="map-cluster" style="width:28px;height:28px;background:${STATUS_COLORS[statusKey(r.status)]}">${idx + 1}</div>`,
+          iconSize: [28, 28]
+        });
+        L.marker([r.lat, r.lng], { icon })
+          .bindTooltip(r.title || "Task")
+          .on("click", () => UI.openReportModal(r))
+          .addTo(this._routeLayer);
+      });
+      map.fitBounds(L.latLngBounds(line).pad(0.15), { maxZoom: 16 });
+    }, 100);
+  },
+
+  renderRouteList(start, stops) {
+    const list = $("#routeList");
+    if (!list) return;
+    list.textContent = "";
+    const done = new Set(Store.get("routeDone", []));
+    let prev = start;
+    stops.forEach((r, idx) => {
+      const id = String(r.id ?? "");
+      const leg = prev ? Route.dist(prev, r) : 0;
+      prev = r;
+
+      const row = document.createElement("label");
+      row.className = "flex items-center gap-3 rounded-lg border border-slate-200 bg-white/80 px-3 py-2 text-xs dark:border-slate-800 dark:bg-slate-950";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.className = "h-4 w-4 rounded border-slate-300 text-emerald-600 focus:ring-emerald-500";
+      cb.checked = done.has(id);
+      cb.addEventListener("change", () => {
+        const set = new Set(Store.get("routeDone", []));
+        if (cb.checked) set.add(id); else set.delete(id);
+        Store.set("routeDone", Array.from(set));
+        row.classList.toggle("opacity-50", cb.checked);
+      });
+      row.classList.toggle("opacity-50", cb.checked);
+
+      const num = document.createElement("span");
+      num.className = "inline-flex h-6 w-6 shrink-0 items-center justify-center rounded-full bg-slate-900 text-[11px] font-semibold text-white dark:bg-white dark:text-slate-900";
+      num.textContent = String(idx + 1);
+
+      const body = document.createElement("div");
+      body.className = "min-w-0 flex-1";
+      const title = document.createElement("div");
+      title.className = "truncate font-semibold text-slate-800 dark:text-slate-100";
+      title.textContent = r.title || "Task";
+      const meta = document.createElement("div");
+      meta.className = "truncate text-[11px] text-slate-500 dark:text-slate-400";
+      meta.textContent = [r.status, (idx > 0 || start) ? `+${formatDistance(leg)}` : "", r.address || ""].filter(Boolean).join(" | ");
+      body.appendChild(title);
+      body.appendChild(meta);
+
+      const view = document.createElement("button");
+      view.type = "button";
+      view.className = "inline-flex shrink-0 items-center gap-1 rounded-lg border border-slate-200 bg-white px-2 py-1 text-[11px] font-semibold text-slate-700 shadow-sm dark:border-slate-800 dark:bg-slate-900 dark:text-slate-200";
+      view.innerHTML = "<i class=\"ri-eye-line\"></i>View";
+      view.addEventListener("click", (e) => { e.preventDefault(); UI.openReportModal(r); });
+
+      row.appendChild(cb);
+      row.appendChild(num);
+      row.appendChild(body);
+      row.appendChild(view);
+      list.appendChild(row);
+    });
+  },
+
+  closeRouteModal() {
+    const modal = $("#routeModal");
+    const card = $("#routeModalCard");
+    if (!modal || !card) return;
+    card.classList.add("opacity-0", "scale-95");
+    card.classList.remove("opacity-100", "scale-100");
+    modal.classList.remove("opacity-100");
+    modal.classList.add("opacity-0");
+    modal.setAttribute("aria-hidden", "true");
+    setTimeout(() => {
+      modal.classList.add("hidden");
+      document.body.classList.remove("overflow-hidden");
+    }, 200);
+  },
+
+  /* -------- Duplicate Prompt -------- */
+  _dupResolve: null,
+
+  askDuplicate(candidates) {
+    const modal = $("#dupModal");
+    const card = $("#dupModalCard");
+    const list = $("#dupModalList");
+    if (!modal || !card || !list) return Promise.resolve({ action: "submit" });
+
+    list.textContent = "";
+    candidates.slice(0, 5).forEach(r => {
+      const row = document.createElement("div");
+      row.className = "flex items-center gap-3 rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 dark:border-slate-800 dark:bg-slate-950";
+      const thumb = Media.src(r, "photo", true);
+      if (thumb) {
+        const img = document.createElement("img");
+        img.src = thumb;
+        img.className = "report-thumb";
+        img.alt = "Existing report photo";
+        row.appendChild(img);
+      }
+      const body = document.createElement("div");
+      body.className = "min-w-0 flex-1";
+      const title = document.createElement("div");
+      title.className = "text-sm font-semibold text-slate-800 dark:text-slate-100";
+      title.textContent = r.title || "Untitled report";
+      const meta = document.createElement("div");
+      meta.className = "text-[11px] text-slate-500 dark:text-slate-400";
+      const d = r.createdAt ? new Date(r.createdAt) : null;
+      const when = d && !Number.isNaN(d.getTime()) ? d.toLocaleString() : "";
+      meta.textContent = [r.status || "NEW", `${formatDistance(r._distance)} away`, when].filter(Boolean).join(" | ");
+      body.appendChild(title);
+      body.appendChild(meta);
+      row.appendChild(body);
+
+      const queued = String(r.id || "").startsWith("q_") || r.offline;
+      if (!queued) {
+        const btn = document.createElement("button");
+        btn.className = "inline-flex shrink-0 items-center gap-1 rounded-lg bg-emerald-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm transition hover:-translate-y-0.5 hover:bg-emerald-700";
+        btn.innerHTML = "<i class=\"ri-image-add-line\"></i>Add to this";
+        btn.addEventListener("click", () => this.resolveDuplicate({ action: "attach", report: r }));
+        row.appendChild(btn);
+      }
+      list.appendChild(row);
+    });
+
+    modal.classList.remove("hidden");
+    modal.setAttribute("aria-hidden", "false");
+    requestAnimationFrame(() => {
+      modal.classList.remove("opacity-0");
+      modal.classList.add("opacity-100");
+      card.classList.remove("opacity-0", "scale-95");
+      card.classList.add("opacity-100", "scale-100");
+    });
+    return new Promise(resolve => { this._dupResolve = resolve; });
+  },
+
+  resolveDuplicate(choice) {
+    const modal = $("#dupModal");
+    const card = $("#dupModalCard");
+    if (modal && card) {
+      card.classList.add("opacity-0", "scale-95");
+      card.classList.remove("opacity-100", "scale-100");
+      modal.classList.remove("opacity-100");
+      modal.classList.add("opacity-0");
+      modal.setAttribute("aria-hidden", "true");
+      setTimeout(() => modal.classList.add("hidden"), 200);
+    }
+    const resolve = this._dupResolve;
+    this._dupResolve = null;
+    resolve?.(typeof choice === "string" ? { action: choice } : choice);
+  },
+
+  /* -------- Attachment pickers -------- */
+  _picks: { report: [], proof: [] },
+  pickTargets: {
+    report: { list: "#rAttachList", maxW: 1600, quality: 0.85 },
+    proof: { list: "#vProofList", maxW: 1280, quality: 0.7 }
+  },
+  picked(key) { return (this._picks[key] || []).slice(); },
+
+  async addPicked(key, input) {
+    const files = Array.from(input?.files || []);
+    if (input) input.value = "";
+    if (!files.length) return;
+    try {
+      const cur = this._picks[key];
+      const photosLeft = Media.maxPhotos - cur.filter(p => p.kind === "image").length;
+      const hasVideo = cur.some(p => p.kind === "video");
+      const photos = files.filter(f => !/^video\//i.test(f.type));
+      const videos = files.filter(f => /^video\//i.test(f.type));
+      if (photos.length > photosLeft) toast(`Up to ${Media.maxPhotos} photos. Extra photos were skipped.`);
+      if (videos.length && (hasVideo || videos.length > 1)) toast("Only one video clip per report");
+      const accepted = [...photos.slice(0, Math.max(0, photosLeft)), ...(hasVideo ? [] : videos.slice(0, 1))];
+      const { maxW, quality } = this.pickTargets[key];
+      // pickedAt: when the vendor took or chose the photo, not when the form was sent
+      const pickedAt = now();
+      const items = (await Media.prepare(accepted, { maxW, quality })).map(item => ({ ...item, pickedAt }));
+      this._picks[key] = [...this._picks[key], ...items];
+    } catch (e) { oops(e); }
+    this.renderPicked(key);
+    if (key === "report") this.suggestWasteType();
+  },
+
+  _wasteHint: null,
+  _wasteHintSeq: 0,
+  // Picks can change while the model runs: only the latest request may set the hint
+  async suggestWasteType() {
+    const seq = ++this._wasteHintSeq;
+    const photos = this._picks.report.filter(p => p.kind === "image").map(p => p.dataUrl);
+    let hint = null;
+    try {
+      hint = photos.length ? await Classifier.suggest(photos) : null;
+    } catch (e) {
+      nativeLog(`Waste type suggestion failed: ${e?.message || e}`);
+    }
+    if (seq !== this._wasteHintSeq) return;
+    this._wasteHint = hint;
+    this.renderWasteHint();
+  },
+
+  renderWasteHint() {
+    const wrap = $("#rWasteHint");
+    if (!wrap) return;
+    const h = this._wasteHint;
+    wrap.textContent = "";
+    wrap.classList.toggle("hidden", !h);
+    if (!h) return;
+    const label = document.createElement("span");
+    label.textContent = `Looks like ${h.type} (${Math.round(h.confidence * 100)}% on-device guess)`;
+    wrap.appendChild(label);
+    const sel = $("#rWasteType");
+    if (sel && sel.value === "auto") {
+      const use = document.createElement("button");
+      use.type = "button";
+      use.className = "ml-2 font-semibold text-emerald-700 hover:underline dark:text-emerald-300";
+      use.textContent = "Use";
+      use.addEventListener("click", () => { sel.value = h.type; this.renderWasteHint(); });
+      wrap.appendChild(use);
+    }
+  },
+
+  movePicked(key, idx, dir) {
+    const list = this._picks[key];
+    const to = idx + dir;
+    if (to < 0 || to >= list.length) return;
+    [list[idx], list[to]] = [list[to], list[idx]];
+    this.renderPicked(key);
+  },
+
+  removePicked(key, idx) {
+    this._picks[key].splice(idx, 1);
+    this.renderPicked(key);
+    if (key === "report") this.suggestWasteType();
+  },
+
+  clearPicked(key) {
+    this._picks[key] = [];
+    this.renderPicked(key);
+    if (key === "report") { this._wasteHintSeq++; this._wasteHint = null; this.renderWasteHint(); }
+  },
+
+  renderPicked(key) {
+    const wrap = $(this.pickTargets[key].list);
+    if (!wrap) return;
+    const list = this._picks[key];
+    wrap.textContent = "";
+    wrap.classList.toggle("hidden", !list.length);
+    const btnCls = "inline-flex h-6 w-6 items-center justify-center rounded-md bg-white/90 text-slate-700 shadow-sm disabled:opacity-30 dark:bg-slate-900/90 dark:text-slate-200";
+    list.forEach((item, idx) => {
+      const tile = document.createElement("div");
+      tile.className = "attach-tile";
+      const img = document.createElement("img");
+      img.src = item.thumb || item.dataUrl;
+      img.alt = item.kind === "video" ? "Video clip" : `Photo ${idx + 1}`;
+      img.addEventListener("click", () => UI.openPhotoModal(null, list.map(p => ({ kind: p.kind, url: p.dataUrl, thumb: p.thumb })), idx));
+      tile.appendChild(img);
+      if (item.kind === "video") {
+        const badge = document.createElement("span");
+        badge.className = "attach-badge";
+        badge.innerHTML = "<i class=\"ri-play-fill\"></i>";
+        tile.appendChild(badge);
+      }
+      const bar = document.createElement("div");
+      bar.className = "attach-bar";
+      [["ri-arrow-left-s-line", "Move earlier", () => this.movePicked(key, idx, -1), idx === 0],
+       ["ri-arrow-right-s-line", "Move later", () => this.movePicked(key, idx, 1), idx === list.length - 1],
+       ["ri-close-line", "Remove", () => this.removePicked(key, idx), false]].forEach(([icon, label, fn, disabled]) => {
+        const b = document.createElement("button");
+        b.type = "button";
+        b.className = btnCls;
+        b.title = label;
+        b.setAttribute("aria-label", label);
+        b.disabled = disabled;
+        b.innerHTML = `<i class="${icon}"></i>`;
+        b.addEventListener("click", fn);
+        bar.appendChild(b);
+      });
+      tile.appendChild(bar);
+      wrap.appendChild(tile);
+    });
+    const photos = list.filter(p => p.kind === "image").length;
+    const meta = document.createElement("div");
+    meta.className = "w-full text-[11px] text-slate-500 dark:text-slate-400";
+    meta.textContent = `${photos}/${Media.maxPhotos} photos${list.some(p => p.kind === "video") ? " + 1 video" : ""}. First photo is the cover.`;
+    wrap.appendChild(meta);
+  },
+
+  // Row of thumbnails that opens the gallery at the tapped item
+  renderGallery(wrap, items, alt) {
+    const strip = document.createElement("div");
+    strip.className = "flex flex-wrap gap-2";
+    items.forEach((m, idx) => {
+      const tile = document.createElement("div");
+      tile.className = "relative";
+      const img = document.createElement("img");
+      img.src = m.thumb || m.url;
+      img.className = "report-thumb";
+      img.alt = `${alt} ${idx + 1}`;
+      img.addEventListener("click", () => UI.openPhotoModal(null, items, idx));
+      tile.appendChild(img);
+      if (m.kind === "video") {
+        const badge = document.createElement("span");
+        badge.className = "attach-badge";
+        badge.innerHTML = "<i class=\"ri-play-fill\"></i>";
+        tile.appendChild(badge);
+      }
+      strip.appendChild(tile);
+    });
+    wrap.appendChild(strip);
+  },
+
   /* -------- Photo Modal -------- */
-  openPhotoModal(src) {
+  _gallery: [],
+  _galleryIdx: 0,
+  // openPhotoModal(src) for a single image, or openPhotoModal(null, items, index) for a gallery
+  openPhotoModal(src, items = null, index = 0) {
     const modal = $("#photoModal");
     const card = $("#photoModalCard");
     const img = $("#photoModalImg");
     if (!modal || !card || !img) return;
-    img.src = src;
+    this._gallery = items && items.length ? items : [{ kind: "image", url: src }];
+    this.showGalleryItem(index);
     modal.classList.remove("hidden");
     modal.setAttribute("aria-hidden", "false");
     requestAnimationFrame(() => {
@@ -1654,13 +5194,129 @@ const UI = {
     modal.classList.remove("opacity-100");
     modal.classList.add("opacity-0");
     modal.setAttribute("aria-hidden", "true");
+    const video = $("#photoModalVideo");
+    video?.pause();
     setTimeout(() => {
       modal.classList.add("hidden");
       img.removeAttribute("src");
+      video?.removeAttribute("src");
+      this._gallery = [];
     }, 200);
   },
 
+  showGalleryItem(index) {
+    const items = this._gallery;
+    if (!items.length) return;
+    const i = (index + items.length) % items.length;
+    this._galleryIdx = i;
+    const m = items[i];
+    const img = $("#photoModalImg");
+    const video = $("#photoModalVideo");
+    const isVideo = m.kind === "video";
+    if (video) {
+      video.pause();
+      video.classList.toggle("hidden", !isVideo);
+      if (isVideo) { video.src = m.url; video.poster = m.thumb || ""; }
+      else video.removeAttribute("src");
+    }
+    img.classList.toggle("hidden", isVideo);
+    if (!isVideo) img.src = m.url;
+    const multi = items.length > 1;
+    $("#photoModalPrev")?.classList.toggle("hidden", !multi);
+    $("#photoModalNext")?.classList.toggle("hidden", !multi);
+    const count = $("#photoModalCount");
+    if (count) count.textContent = multi ? `${i + 1} / ${items.length}` : "";
+  },
+
+  stepGallery(dir) {
+    this.showGalleryItem(this._galleryIdx + dir);
+  },
+
   /* -------- Report Modal -------- */
+  // Deep link target for notifications: find the row locally, else fetch it
+  async openReportById(id) {
+    if (!id || !Session.data) return;
+    const key = String(OfflineQueue.serverId(id));
+    const local = [...(Reports._userRows || []), ...(Reports._vendorRows || []), ...(Reports._adminRows || [])]
+      .find(r => String(r.id) === key);
+    if (local) return this.openReportModal(local);
+    try {
+      const r = await api(`/reports/${encodeURIComponent(key)}`, "GET", null, { cacheKey: `report.${key}`, cacheMaxAgeMs: 24 * 60 * 60 * 1000 });
+      if (r) this.openReportModal(r);
+    } catch (e) {
+      if (isNetworkError(e)) notifyOffline("Offline. Open this report again when online.");
+      else oops(e);
+    }
+  },
+
+  openNotifySettings() {
+    this.renderNotifySettings();
+    const modal = $("#notifyModal");
+    const card = $("#notifyModalCard");
+    if (!modal || !card) return;
+    modal.classList.remove("hidden");
+    modal.setAttribute("aria-hidden", "false");
+    requestAnimationFrame(() => {
+      modal.classList.remove("opacity-0");
+      modal.classList.add("opacity-100");
+      card.classList.remove("opacity-0", "scale-95");
+      card.classList.add("opacity-100", "scale-100");
+    });
+  },
+
+  closeNotifySettings() {
+    const modal = $("#notifyModal");
+    const card = $("#notifyModalCard");
+    if (!modal || !card) return;
+    card.classList.add("opacity-0", "scale-95");
+    card.classList.remove("opacity-100", "scale-100");
+    modal.classList.remove("opacity-100");
+    modal.classList.add("opacity-0");
+    modal.setAttribute("aria-hidden", "true");
+    setTimeout(() => modal.classList.add("hidden"), 200);
+  },
+
+  renderNotifySettings() {
+    const wrap = $("#notifySettings");
+    const role = Session.data?.role;
+    if (!wrap || !role) return;
+    wrap.textContent = "";
+    const prefs = Notify.prefs(role);
+    const save = () => {
+      Notify.setPrefs(role, {
+        enabled: $("#notifyEnabled")?.checked,
+        events: Object.fromEntries($$("#notifySettings input[data-kind]").map(el => [el.dataset.kind, el.checked]))
+      });
+      this.renderNotifySettings();
+    };
+    const checkbox = (id, label, checked, kind) => {
+      const row = document.createElement("label");
+      row.className = "flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200";
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.className = "rounded border-slate-300 text-emerald-600 focus:ring-emerald-500";
+      input.checked = checked;
+      if (id) input.id = id;
+      if (kind) input.dataset.kind = kind;
+      input.addEventListener("change", save);
+      row.appendChild(input);
+      row.appendChild(document.createTextNode(label));
+      return row;
+    };
+    wrap.appendChild(checkbox("notifyEnabled", "Notify me about updates", prefs.enabled));
+    const list = document.createElement("div");
+    list.className = `ml-6 space-y-2 ${prefs.enabled ? "" : "opacity-50"}`;
+    Object.entries(Notify.kinds[role] || {}).forEach(([kind, label]) => list.appendChild(checkbox(null, label, prefs.events[kind], kind)));
+    wrap.appendChild(list);
+    if (prefs.enabled && !Notify.permitted()) {
+      const ask = document.createElement("button");
+      ask.className = "inline-flex items-center gap-2 rounded-lg bg-emerald-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm transition hover:-translate-y-0.5 hover:bg-emerald-700";
+      ask.innerHTML = "<i class=\"ri-notification-3-line\"></i>Allow notifications";
+      ask.addEventListener("click", () => Notify.requestPermission());
+      wrap.appendChild(ask);
+    }
+  },
+
   openReportModal(r) {
     const modal = $("#reportModal");
     const card = $("#reportModalCard");
@@ -1682,6 +5338,10 @@ const UI = {
     const updated = $("#reportModalUpdated");
     const photo = $("#reportModalPhoto");
     const proof = $("#reportModalProof");
+    const rejection = $("#reportModalRejection");
+    const actions = $("#reportModalActions");
+    const compare = $("#reportModalCompare");
+    const compareBody = $("#reportModalCompareBody");
     const events = $("#reportModalEvents");
 
     if (title) title.textContent = r.title || "Report";
@@ -1700,6 +5360,7 @@ const UI = {
         "new": "border-slate-200 bg-slate-100 text-slate-700 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-200",
         "assigned": "border-amber-200 bg-amber-50 text-amber-700 dark:border-amber-700 dark:bg-amber-900/40 dark:text-amber-200",
         "in_progress": "border-sky-200 bg-sky-50 text-sky-700 dark:border-sky-700 dark:bg-sky-900/40 dark:text-sky-200",
+        "verification_pending": "border-violet-200 bg-violet-50 text-violet-700 dark:border-violet-700 dark:bg-violet-900/40 dark:text-violet-200",
         "resolved": "border-emerald-200 bg-emerald-50 text-emerald-700 dark:border-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-200",
         "queued": "border-indigo-200 bg-indigo-50 text-indigo-700 dark:border-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-200"
       };
@@ -1722,13 +5383,15 @@ const UI = {
 
     if (assignSource) {
       const src = r.autoAssigned ? "Auto-assigned (AI)" : "Manual / Admin";
-      assignSource.textContent = src;
+      const reopened = Number(r.reopenCount) || 0;
+      assignSource.textContent = reopened ? `${src} | Reopened ${reopened}x by reporter` : src;
     }
 
     if (waste) {
       if (r.wasteType) {
         const pct = r.wasteConfidence != null ? Math.round(Number(r.wasteConfidence) * 100) : null;
-        waste.textContent = pct != null ? `${r.wasteType} (${pct}%)` : r.wasteType;
+        const est = r.wasteTypeSource === "device" ? ", on-device guess" : "";
+        waste.textContent = pct != null ? `${r.wasteType} (${pct}%${est})` : r.wasteType;
       } else {
         waste.textContent = "Not detected";
       }
@@ -1746,16 +5409,27 @@ const UI = {
     if (roleHint) {
       const role = Session?.data?.role || "";
       if (role === "user") {
-        roleHint.textContent = "You will see status updates here. If it stays NEW, it is waiting for admin assignment.";
+        roleHint.textContent = String(r.status || "").toUpperCase() === "RESOLVED"
+          ? "Check the spot: confirm it is clean, or reopen it with a new photo if waste is still there."
+          : "You will see status updates here. If it stays NEW, it is waiting for admin assignment.";
       } else if (role === "vendor") {
-        roleHint.textContent = "Complete the task and upload proof once finished. Status will update to RESOLVED.";
+        roleHint.textContent = "Start the task when you arrive on site, then upload proof once finished. An admin verifies the proof before it is RESOLVED.";
       } else if (role === "admin") {
-        roleHint.textContent = "You can reassign the vendor or update status anytime from the admin dashboard.";
+        roleHint.textContent = String(r.status || "").toUpperCase() === "VERIFICATION_PENDING"
+          ? "Compare the before/after photos, then approve or reject the vendor's completion."
+          : "You can reassign the vendor or update status anytime from the admin dashboard.";
       } else {
         roleHint.textContent = "";
       }
     }
 
+    if (rejection) {
+      rejection.textContent = r.rejectionReason ? `Completion rejected: ${r.rejectionReason}` : "";
+      rejection.classList.toggle("hidden", !r.rejectionReason);
+    }
+
+    if (actions) this.renderReportActions(actions, r);
+
     const lat = Number(r.lat);
     const lng = Number(r.lng);
     const latText = Number.isFinite(lat) ? lat.toFixed(6) : "-";
@@ -1770,13 +5444,10 @@ const UI = {
 
     if (photo) {
       photo.textContent = "";
-      if (r.photoBase64 && /^data:image\//i.test(r.photoBase64)) {
-        const img = document.createElement("img");
-        img.src = r.photoBase64;
-        img.className = "report-thumb";
-        img.alt = "Report photo";
-        img.addEventListener("click", () => UI.openPhotoModal(r.photoBase64));
-        photo.appendChild(img);
+      const items = Media.items(r, "photo");
+      if (items.length) {
+        photo.className = "mt-2";
+        this.renderGallery(photo, items, "Report photo");
       } else {
         photo.textContent = "No photo";
         photo.className = "text-xs text-slate-500 dark:text-slate-400";
@@ -1785,19 +5456,57 @@ const UI = {
 
     if (proof) {
       proof.textContent = "";
-      if (r.vendorProofBase64 && /^data:image\//i.test(r.vendorProofBase64)) {
-        const img = document.createElement("img");
-        img.src = r.vendorProofBase64;
-        img.className = "report-thumb";
-        img.alt = "Vendor proof";
-        img.addEventListener("click", () => UI.openPhotoModal(r.vendorProofBase64));
-        proof.appendChild(img);
+      const items = Media.items(r, "vendorProof");
+      if (items.length) {
+        proof.className = "mt-2";
+        this.renderGallery(proof, items, "Vendor proof");
       } else {
         proof.textContent = "No proof";
         proof.className = "text-xs text-slate-500 dark:text-slate-400";
       }
     }
 
+    if (compare && compareBody) {
+      compareBody.textContent = "";
+      const before = Media.src(r, "photo");
+      const after = Media.src(r, "vendorProof");
+      compare.classList.toggle("hidden", !after);
+      if (after) {
+        const grid = document.createElement("div");
+        grid.className = "grid grid-cols-2 gap-3";
+        [["Before", before], ["After", after]].forEach(([label, src]) => {
+          const cell = document.createElement("div");
+          const cap = document.createElement("div");
+          cap.className = "mb-1 text-[11px] font-semibold text-slate-500 dark:text-slate-400";
+          cap.textContent = label;
+          cell.appendChild(cap);
+          if (src) {
+            const img = document.createElement("img");
+            img.src = src;
+            img.alt = `${label} photo`;
+            img.className = "compare-photo";
+            img.addEventListener("click", () => UI.openPhotoModal(src));
+            cell.appendChild(img);
+          } else {
+            const none = document.createElement("div");
+            none.className = "text-xs text-slate-500 dark:text-slate-400";
+            none.textContent = "No photo";
+            cell.appendChild(none);
+          }
+          grid.appendChild(cell);
+        });
+        compareBody.appendChild(grid);
+
+        const v = Reports.proofVerdict(r);
+        const verdict = document.createElement("div");
+        verdict.className = v.ok
+          ? "mt-2 rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-xs text-emerald-800 dark:border-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-200"
+          : "mt-2 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-800 dark:border-rose-700 dark:bg-rose-900/40 dark:text-rose-200";
+        verdict.textContent = `${v.ok ? "Verified on site" : "Check proof"}: ${v.text}`;
+        compareBody.appendChild(verdict);
+      }
+    }
+
     if (events) {
       events.textContent = "Loading audit trail...";
       UI.loadReportEvents(r);
@@ -1814,23 +5523,167 @@ const UI = {
     });
   },
 
+  // Role-specific actions inside the report modal
+  renderReportActions(actions, r) {
+    actions.textContent = "";
+    const role = Session?.data?.role || "";
+    const st = String(r.status || "").toUpperCase();
+    const fieldCls = "block w-full rounded-lg border border-slate-300 bg-white/80 p-2 text-xs text-slate-900 shadow-sm focus:border-emerald-500 focus:ring-4 focus:ring-emerald-200 dark:border-slate-700 dark:bg-slate-900 dark:text-slate-100";
+    const primaryCls = "inline-flex items-center gap-2 rounded-lg bg-emerald-600 px-3 py-2 text-xs font-semibold text-white shadow-sm transition hover:-translate-y-0.5 hover:bg-emerald-700";
+    const dangerCls = "inline-flex items-center gap-2 rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs font-semibold text-rose-700 shadow-sm transition hover:-translate-y-0.5 hover:bg-rose-100 dark:border-rose-800 dark:bg-rose-950/40 dark:text-rose-200";
+
+    if (role === "admin" && st === "VERIFICATION_PENDING") {
+      const reason = document.createElement("textarea");
+      reason.rows = 2;
+      reason.placeholder = "Reason (required to reject)";
+      reason.className = fieldCls;
+      const row = document.createElement("div");
+      row.className = "flex flex-wrap gap-2";
+      const approve = document.createElement("button");
+      approve.className = primaryCls;
+      approve.innerHTML = "<i class=\"ri-check-line\"></i>Approve";
+      approve.addEventListener("click", () => Reports.approveCompletion(r.id));
+      const reject = document.createElement("button");
+      reject.className = dangerCls;
+      reject.innerHTML = "<i class=\"ri-arrow-go-back-line\"></i>Reject";
+      reject.addEventListener("click", () => Reports.rejectCompletion(r.id, reason.value));
+      row.appendChild(approve);
+      row.appendChild(reject);
+      actions.appendChild(reason);
+      actions.appendChild(row);
+    } else if (role === "user" && st === "RESOLVED") {
+      if (r.citizenConfirmedAt) {
+        const done = document.createElement("div");
+        done.className = "text-xs text-emerald-700 dark:text-emerald-300";
+        done.textContent = "You confirmed this spot is clean. Thank you!";
+        actions.appendChild(done);
+      } else {
+        const ask = document.createElement("div");
+        ask.className = "text-xs font-semibold text-slate-700 dark:text-slate-200";
+        ask.textContent = "Is the spot clean now?";
+        const comment = document.createElement("textarea");
+        comment.rows = 2;
+        comment.placeholder = "What is still wrong? (required to reopen)";
+        comment.className = fieldCls;
+        const file = document.createElement("input");
+        file.type = "file";
+        file.accept = "image/*";
+        file.setAttribute("capture", "environment");
+        file.setAttribute("aria-label", "Photo of the problem (required to reopen)");
+        file.className = "block w-full cursor-pointer rounded-lg border border-slate-300 bg-white/80 text-xs text-slate-700 shadow-sm dark:border-slate-700 dark:bg-slate-900 dark:text-slate-200";
+        const row = document.createElement("div");
+        row.className = "flex flex-wrap gap-2";
+        const confirmBtn = document.createElement("button");
+        confirmBtn.className = primaryCls;
+        confirmBtn.innerHTML = "<i class=\"ri-thumb-up-line\"></i>Yes, it's clean";
+        confirmBtn.addEventListener("click", () => Reports.citizenConfirm(r.id));
+        const reopenBtn = document.createElement("button");
+        reopenBtn.className = dangerCls;
+        reopenBtn.innerHTML = "<i class=\"ri-restart-line\"></i>Reopen";
+        reopenBtn.addEventListener("click", () => Reports.citizenReopen(r.id, comment.value, file.files?.[0]));
+        row.appendChild(confirmBtn);
+        row.appendChild(reopenBtn);
+        actions.appendChild(ask);
+        actions.appendChild(comment);
+        actions.appendChild(file);
+        actions.appendChild(row);
+      }
+    }
+
+    if (role === "admin" && !r.offline) {
+      const box = document.createElement("details");
+      box.className = "rounded-lg border border-slate-200 bg-white/70 p-2 text-xs dark:border-slate-800 dark:bg-slate-950";
+      const summary = document.createElement("summary");
+      summary.className = "cursor-pointer font-semibold text-slate-700 dark:text-slate-200";
+      summary.textContent = "Correct waste type";
+      const sel = document.createElement("select");
+      sel.className = `${fieldCls} mt-2`;
+      Object.keys(SLA.defaults).forEach(t => {
+        const opt = document.createElement("option");
+        opt.value = t;
+        opt.textContent = t;
+        sel.appendChild(opt);
+      });
+      if (r.wasteType && SLA.defaults[String(r.wasteType).toLowerCase()] != null) sel.value = String(r.wasteType).toLowerCase();
+      const canReassign = st === "NEW" || st === "ASSIGNED";
+      const reLabel = document.createElement("label");
+      reLabel.className = `mt-2 flex items-center gap-2 text-slate-600 dark:text-slate-300 ${canReassign ? "" : "opacity-50"}`;
+      const re = document.createElement("input");
+      re.type = "checkbox";
+      re.disabled = !canReassign;
+      re.className = "rounded border-slate-300 text-emerald-600 focus:ring-emerald-500";
+      reLabel.appendChild(re);
+      reLabel.appendChild(document.createTextNode("Re-run auto-assignment for the new type"));
+      const row = document.createElement("div");
+      row.className = "mt-2 flex flex-wrap gap-2";
+      const save = document.createElement("button");
+      save.className = primaryCls;
+      save.innerHTML = "<i class=\"ri-edit-line\"></i>Save correction";
+      save.addEventListener("click", () => Reports.correctWasteType(r, sel.value, re.checked));
+      row.appendChild(save);
+      const predicted = Feedback.prediction(r).predicted;
+      if (predicted) {
+        const ok = document.createElement("button");
+        ok.className = "inline-flex items-center gap-2 rounded-lg border border-slate-200 bg-white px-3 py-2 text-xs font-semibold text-slate-700 shadow-sm transition hover:-translate-y-0.5 hover:bg-slate-50 dark:border-slate-800 dark:bg-slate-900 dark:text-slate-200 dark:hover:bg-slate-800";
+        ok.innerHTML = "<i class=\"ri-check-double-line\"></i>Detection was right";
+        ok.addEventListener("click", () => Reports.correctWasteType(r, String(predicted).toLowerCase(), false));
+        row.appendChild(ok);
+      }
+      box.appendChild(summary);
+      box.appendChild(sel);
+      box.appendChild(reLabel);
+      box.appendChild(row);
+      actions.appendChild(box);
+    }
+    actions.classList.toggle("hidden", !actions.childNodes.length);
+  },
+
+  renderFeedbackSummary(s) {
+    const wrap = $("#adminFeedback");
+    if (!wrap) return;
+    wrap.textContent = "";
+    const head = document.createElement("div");
+    head.className = "font-semibold text-slate-800 dark:text-slate-100";
+    head.textContent = s.accuracy == null
+      ? "No reviewed detections yet"
+      : `Detector agreed with admins on ${Math.round(s.accuracy * 100)}% of ${s.scored} reviewed reports`;
+    wrap.appendChild(head);
+    s.confusions.forEach(([k, n]) => {
+      const row = document.createElement("div");
+      row.className = "text-xs text-slate-500 dark:text-slate-400";
+      row.textContent = `${k}: ${n}`;
+      wrap.appendChild(row);
+    });
+  },
+
   async loadReportEvents(report) {
     const el = $("#reportModalEvents");
     if (!el) return;
-    const reportId = typeof report === "string" ? report : report?.id;
-    const status = (typeof report === "object" ? report?.status : "") || "";
+    // A stub opened before sync may already have a server id
+    const reportId = OfflineQueue.serverId(typeof report === "string" ? report : report?.id);
+    const synced = reportId !== (typeof report === "string" ? report : report?.id);
+    const status = synced ? "" : ((typeof report === "object" ? report?.status : "") || "");
     if (!reportId || String(reportId).startsWith("q_") || String(reportId).startsWith("local_") || status.toLowerCase() === "queued") {
       el.textContent = "Audit trail will appear after this report syncs online.";
       return;
     }
     el.textContent = "Loading audit trail...";
     try {
-      const events = await api(`/reports/${encodeURIComponent(reportId)}/events`, "GET", null, {
+      let events = await api(`/reports/${encodeURIComponent(reportId)}/events`, "GET", null, {
         cacheKey: `report.events.${reportId}`,
         cacheMaxAgeMs: 5 * 60 * 1000
       });
       if (api.lastFromCache) notifyOffline("Offline. Showing cached audit trail.");
       el.textContent = "";
+      const ref = OfflineQueue.localRef(reportId);
+      if (ref) {
+        // Device-side history the server never saw: when it was queued and under which ref
+        events = [{
+          message: "Saved offline on this device",
+          createdAt: ref.queuedAt,
+          detail: `Local ref ${ref.localId}, synced ${new Date(ref.syncedAt).toLocaleString()}`
+        }, ...(events || [])];
+      }
       if (!events || !events.length) {
         el.textContent = "No audit events yet.";
         return;
@@ -1901,12 +5754,20 @@ const Net = {
     updateNetStatus();
     UI.renderSyncMeta();
     UI.renderOfflineResume();
+    OfflineQueue.migrateMedia();
+    BackgroundSync.collect();
+    BackgroundSync.publish();
     if (navigator.onLine) OfflineQueue.flush();
+    // Back from the background: the worker may have sent things meanwhile
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden && BackgroundSync.collect() && Session.data) UI.route();
+    });
     window.addEventListener("online", () => {
       updateNetStatus();
       UI.renderSyncMeta();
       UI.renderOfflineResume();
       OfflineQueue.flush();
+      SLA.refresh();
     });
     window.addEventListener("offline", () => {
       updateNetStatus();
@@ -1916,13 +5777,9 @@ const Net = {
   }
 };
 
-/* Photo preview */
-$("#rPhoto")?.addEventListener("change", e => {
-  const f = e.target.files?.[0];
-  const img = $("#rPreview");
-  if (!f) { img.classList.add("hidden"); return; }
-  img.src = URL.createObjectURL(f); img.classList.remove("hidden");
-});
+/* Attachment previews */
+$("#rPhoto")?.addEventListener("change", e => UI.addPicked("report", e.target));
+$("#vProof")?.addEventListener("change", e => UI.addPicked("proof", e.target));
 
 // Keep offline resume list updated while user is on auth screen
 ["#uLoginEmail", "#vId", "#aEmail"].forEach((sel) => {
@@ -1931,8 +5788,17 @@ $("#rPhoto")?.addEventListener("change", e => {
 });
 
 /* Boot */
-Net.init();
-UI.sync(); UI.route();
+// Browsers decrypt saved credentials asynchronously: route once they're in
+SecureStore.ready.then(() => {
+  JWT = SecureStore.get("jwt", null);
+  if (Session.data && JWT && !isJwtExpired(JWT)) rememberSession(Session.data, JWT);
+  Net.init();
+  UI.sync(); UI.route();
+  Notify.start();
+  // Opened from a notification tap
+  const launchId = window.NativeNotify?.takeLaunchReport?.();
+  if (launchId) setTimeout(() => UI.openReportById(launchId), 600);
+});
 // Toggles: theme + density
 UI.bindToggles = function(){
   const root = document.documentElement;
@@ -2001,6 +5867,7 @@ UI.bindToggles();
 // Expose globals for inline handlers (WebView global scope)
 try {
   window.UI = UI;
+  window.Notify = Notify;
   window.Auth = Auth;
   window.Reports = Reports;
   window.Vendors = Vendors;
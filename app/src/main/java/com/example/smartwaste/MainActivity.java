@@ -2,13 +2,26 @@ package com.example.smartwaste;
 
 import android.Manifest;
 import android.annotation.SuppressLint;
+import android.app.NotificationChannel;
+import android.app.NotificationManager;
+import android.app.PendingIntent;
+import android.content.ClipData;
+import android.content.ContentValues;
 import android.content.Context;
 import android.content.Intent;
 import android.content.SharedPreferences;
 import android.content.pm.PackageManager;
 import android.net.Uri;
+import android.os.Build;
 import android.os.Bundle;
+import android.os.Environment;
 import android.os.Handler;
+import android.print.PrintAttributes;
+import android.print.PrintManager;
+import android.provider.MediaStore;
+import android.security.keystore.KeyGenParameterSpec;
+import android.security.keystore.KeyProperties;
+import android.util.Base64;
 import android.util.Log;
 import android.webkit.ConsoleMessage;
 import android.webkit.GeolocationPermissions;
@@ -24,15 +37,41 @@ import androidx.activity.OnBackPressedCallback;
 import androidx.activity.result.ActivityResultLauncher;
 import androidx.activity.result.contract.ActivityResultContracts;
 import androidx.appcompat.app.AppCompatActivity;
+import androidx.core.app.NotificationCompat;
+import androidx.core.app.NotificationManagerCompat;
 import androidx.core.content.ContextCompat;
+import androidx.core.content.FileProvider;
 import androidx.webkit.WebSettingsCompat;
 import androidx.webkit.WebViewFeature;
 
+import org.json.JSONObject;
+
+import java.io.ByteArrayOutputStream;
+import java.io.File;
+import java.io.FileInputStream;
+import java.io.FileOutputStream;
+import java.io.IOException;
+import java.io.InputStream;
+import java.io.OutputStream;
+import java.nio.charset.StandardCharsets;
+import java.security.GeneralSecurityException;
+import java.security.KeyStore;
+import java.util.ArrayList;
+import java.util.List;
+
+import javax.crypto.Cipher;
+import javax.crypto.KeyGenerator;
+import javax.crypto.SecretKey;
+import javax.crypto.spec.GCMParameterSpec;
+
 public class MainActivity extends AppCompatActivity {
 
     private static final String TAG = "CivicSweep";
+    static final String EXTRA_REPORT_ID = "com.example.smartwaste.REPORT_ID";
     private WebView webView;
     private ValueCallback<Uri[]> filePathCallback;
+    private String pendingReportId; // set when launched from a notification, read once by JS
+    static volatile boolean inForeground; // background sync stands down while the WebView can flush
 
     /** JS-accessible storage (SharedPreferences bridge) */
     @SuppressWarnings("unused")
@@ -64,6 +103,206 @@ public class MainActivity extends AppCompatActivity {
         }
     }
 
+    /** JS-accessible encrypted store for credentials (AES-GCM, key kept in the Android Keystore) */
+    @SuppressWarnings("unused")
+    public static class NativeSecureStore {
+        private static final String KEY_ALIAS = "civicsweep_secure";
+        private static final String CIPHER = "AES/GCM/NoPadding";
+        private final SharedPreferences prefs;
+
+        public NativeSecureStore(Context ctx) {
+            prefs = ctx.getSharedPreferences("civicsweep_secure", MODE_PRIVATE);
+        }
+
+        // Created on first use; never leaves the Keystore, so copied prefs are useless elsewhere
+        private static synchronized SecretKey key() throws GeneralSecurityException, IOException {
+            KeyStore ks = KeyStore.getInstance("AndroidKeyStore");
+            ks.load(null);
+            if (ks.containsAlias(KEY_ALIAS)) {
+                return ((KeyStore.SecretKeyEntry) ks.getEntry(KEY_ALIAS, null)).getSecretKey();
+            }
+            KeyGenerator kg = KeyGenerator.getInstance(KeyProperties.KEY_ALGORITHM_AES, "AndroidKeyStore");
+            kg.init(new KeyGenParameterSpec.Builder(KEY_ALIAS, KeyProperties.PURPOSE_ENCRYPT | KeyProperties.PURPOSE_DECRYPT)
+                    .setBlockModes(KeyProperties.BLOCK_MODE_GCM)
+                    .setEncryptionPaddings(KeyProperties.ENCRYPTION_PADDING_NONE)
+                    .setKeySize(256)
+                    .build());
+            return kg.generateKey();
+        }
+
+        /** Stored as base64(ivLength | iv | ciphertext+tag). */
+        @JavascriptInterface
+        public String getItem(String key) {
+            String raw = prefs.getString(key, null);
+            if (raw == null) return null;
+            try {
+                byte[] blob = Base64.decode(raw, Base64.NO_WRAP);
+                int ivLen = blob[0];
+                Cipher c = Cipher.getInstance(CIPHER);
+                c.init(Cipher.DECRYPT_MODE, key(), new GCMParameterSpec(128, blob, 1, ivLen));
+                return new String(c.doFinal(blob, 1 + ivLen, blob.length - 1 - ivLen), StandardCharsets.UTF_8);
+            } catch (GeneralSecurityException | IOException | IllegalArgumentException | IndexOutOfBoundsException e) {
+                // Key lost (e.g. restored backup): treat as missing so the user just signs in again
+                Log.e(TAG, "secure get failed: " + key, e);
+                return null;
+            }
+        }
+
+        @JavascriptInterface
+        public boolean setItem(String key, String value) {
+            try {
+                Cipher c = Cipher.getInstance(CIPHER);
+                c.init(Cipher.ENCRYPT_MODE, key());
+                byte[] iv = c.getIV();
+                byte[] sealed = c.doFinal(value.getBytes(StandardCharsets.UTF_8));
+                byte[] blob = new byte[1 + iv.length + sealed.length];
+                blob[0] = (byte) iv.length;
+                System.arraycopy(iv, 0, blob, 1, iv.length);
+                System.arraycopy(sealed, 0, blob, 1 + iv.length, sealed.length);
+                prefs.edit().putString(key, Base64.encodeToString(blob, Base64.NO_WRAP)).apply();
+                return true;
+            } catch (GeneralSecurityException | IOException e) {
+                Log.e(TAG, "secure set failed: " + key, e);
+                return false;
+            }
+        }
+
+        @JavascriptInterface
+        public void removeItem(String key) {
+            prefs.edit().remove(key).apply();
+        }
+    }
+
+    /** JS-accessible file store for pending images (keeps large data URLs out of SharedPreferences) */
+    @SuppressWarnings("unused")
+    public static class NativeBlobs {
+        private final File dir;
+
+        public NativeBlobs(Context ctx) {
+            dir = new File(ctx.getFilesDir(), "blobs");
+        }
+
+        private File file(String id) {
+            if (id == null || !id.matches("[A-Za-z0-9_-]{1,80}")) return null;
+            return new File(dir, id);
+        }
+
+        @JavascriptInterface
+        public boolean put(String id, String data) {
+            File f = file(id);
+            if (f == null || data == null) return false;
+            if (!dir.exists() && !dir.mkdirs()) return false;
+            try (OutputStream out = new FileOutputStream(f)) {
+                out.write(data.getBytes(StandardCharsets.UTF_8));
+                return true;
+            } catch (IOException e) {
+                Log.e(TAG, "blob put failed", e);
+                return false;
+            }
+        }
+
+        @JavascriptInterface
+        public String get(String id) {
+            File f = file(id);
+            if (f == null || !f.exists()) return null;
+            try (InputStream in = new FileInputStream(f)) {
+                ByteArrayOutputStream buf = new ByteArrayOutputStream((int) f.length());
+                byte[] chunk = new byte[64 * 1024];
+                int n;
+                while ((n = in.read(chunk)) != -1) buf.write(chunk, 0, n);
+                return buf.toString("UTF-8");
+            } catch (IOException e) {
+                Log.e(TAG, "blob get failed", e);
+                return null;
+            }
+        }
+
+        @JavascriptInterface
+        public void remove(String id) {
+            File f = file(id);
+            if (f != null && f.exists() && !f.delete()) Log.w(TAG, "blob delete failed: " + id);
+        }
+    }
+
+    /** JS-accessible local notifications for report updates, with deep links back into the app */
+    @SuppressWarnings("unused")
+    public static class NativeNotify {
+        static final String CHANNEL = "report_updates";
+        private final MainActivity activity;
+
+        public NativeNotify(MainActivity activity) {
+            this.activity = activity;
+            NotificationChannel ch = new NotificationChannel(CHANNEL, "Report updates", NotificationManager.IMPORTANCE_DEFAULT);
+            ch.setDescription("Status changes on your reports and tasks");
+            NotificationManager nm = activity.getSystemService(NotificationManager.class);
+            if (nm != null) nm.createNotificationChannel(ch);
+        }
+
+        @JavascriptInterface
+        public boolean enabled() {
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU
+                    && ContextCompat.checkSelfPermission(activity, Manifest.permission.POST_NOTIFICATIONS) != PackageManager.PERMISSION_GRANTED) {
+                return false;
+            }
+            return NotificationManagerCompat.from(activity).areNotificationsEnabled();
+        }
+
+        @JavascriptInterface
+        public void requestPermission() {
+            if (Build.VERSION.SDK_INT < Build.VERSION_CODES.TIRAMISU) return;
+            activity.runOnUiThread(() -> activity.notifyPermissionLauncher.launch(Manifest.permission.POST_NOTIFICATIONS));
+        }
+
+        @SuppressLint("MissingPermission") // checked in enabled()
+        @JavascriptInterface
+        public void notify(int id, String title, String body, String reportId) {
+            if (!enabled()) return;
+            Intent open = new Intent(activity, MainActivity.class)
+                    .addFlags(Intent.FLAG_ACTIVITY_SINGLE_TOP | Intent.FLAG_ACTIVITY_CLEAR_TOP)
+                    .putExtra(EXTRA_REPORT_ID, reportId);
+            PendingIntent pi = PendingIntent.getActivity(activity, id, open,
+                    PendingIntent.FLAG_IMMUTABLE | PendingIntent.FLAG_UPDATE_CURRENT);
+            NotificationCompat.Builder b = new NotificationCompat.Builder(activity, CHANNEL)
+                    .setSmallIcon(R.drawable.ic_launcher_foreground)
+                    .setContentTitle(title)
+                    .setContentText(body)
+                    .setStyle(new NotificationCompat.BigTextStyle().bigText(body))
+                    .setAutoCancel(true)
+                    .setContentIntent(pi);
+            NotificationManagerCompat.from(activity).notify(id, b.build());
+        }
+
+        /** Report id the app was opened for (from a notification tap), or null. Cleared once read. */
+        @JavascriptInterface
+        public String takeLaunchReport() {
+            String id = activity.pendingReportId;
+            activity.pendingReportId = null;
+            return id;
+        }
+    }
+
+    /** JS-accessible hand-off of the offline queue to background sync (see QueueSyncWorker) */
+    @SuppressWarnings("unused")
+    public static class NativeSync {
+        private final Context ctx;
+
+        public NativeSync(Context ctx) {
+            this.ctx = ctx.getApplicationContext();
+        }
+
+        /** Replaces the worker's copy of the sendable queue and schedules it for when we're online. */
+        @JavascriptInterface
+        public void setPending(String json) {
+            QueueSyncWorker.savePending(ctx, json);
+        }
+
+        /** Results of items sent in the background since the last call, as a JSON array. */
+        @JavascriptInterface
+        public String takeResults() {
+            return QueueSyncWorker.takeResults(ctx);
+        }
+    }
+
     /** JS-accessible logger for Logcat */
     @SuppressWarnings("unused")
     public static class NativeLog {
@@ -73,20 +312,120 @@ public class MainActivity extends AppCompatActivity {
         }
     }
 
+    /** JS-accessible export helpers: save to Downloads, share sheet, print-to-PDF */
+    @SuppressWarnings("unused")
+    public static class NativeExport {
+        private final AppCompatActivity activity;
+        private WebView printView; // kept alive until the print job is spooled
+
+        public NativeExport(AppCompatActivity activity) {
+            this.activity = activity;
+        }
+
+        /**
+         * Whether saveFile can write to the shared Downloads folder. Before Android 10 that needs
+         * the storage permission, which the app doesn't ask for, so the page shares instead.
+         */
+        @JavascriptInterface
+        public boolean canSaveToDownloads() {
+            return Build.VERSION.SDK_INT >= Build.VERSION_CODES.Q;
+        }
+
+        /** Writes text to Downloads/CivicSweep and returns a display path ("" on failure or before Android 10). */
+        @JavascriptInterface
+        public String saveFile(String name, String mime, String content) {
+            // Inline rather than via canSaveToDownloads() so lint can see MediaStore.Downloads is guarded
+            if (Build.VERSION.SDK_INT < Build.VERSION_CODES.Q) return "";
+            byte[] bytes = content.getBytes(StandardCharsets.UTF_8);
+            try {
+                ContentValues values = new ContentValues();
+                values.put(MediaStore.Downloads.DISPLAY_NAME, name);
+                values.put(MediaStore.Downloads.MIME_TYPE, mime);
+                values.put(MediaStore.Downloads.RELATIVE_PATH, Environment.DIRECTORY_DOWNLOADS + "/CivicSweep");
+                Uri uri = activity.getContentResolver().insert(MediaStore.Downloads.EXTERNAL_CONTENT_URI, values);
+                if (uri == null) return "";
+                try (OutputStream out = activity.getContentResolver().openOutputStream(uri)) {
+                    if (out == null) return "";
+                    out.write(bytes);
+                }
+                return Environment.DIRECTORY_DOWNLOADS + "/CivicSweep/" + name;
+            } catch (IOException e) {
+                Log.e(TAG, "saveFile failed", e);
+                return "";
+            }
+        }
+
+        /** Writes text to the cache and opens the Android share sheet. */
+        @JavascriptInterface
+        public boolean shareFile(String name, String mime, String content) {
+            try {
+                File dir = new File(activity.getCacheDir(), "exports");
+                if (!dir.exists() && !dir.mkdirs()) return false;
+                File file = new File(dir, name);
+                try (OutputStream out = new FileOutputStream(file)) {
+                    out.write(content.getBytes(StandardCharsets.UTF_8));
+                }
+                Uri uri = FileProvider.getUriForFile(activity, activity.getPackageName() + ".fileprovider", file);
+                Intent send = new Intent(Intent.ACTION_SEND);
+                send.setType(mime);
+                send.putExtra(Intent.EXTRA_STREAM, uri);
+                send.addFlags(Intent.FLAG_GRANT_READ_URI_PERMISSION);
+                activity.runOnUiThread(() -> activity.startActivity(Intent.createChooser(send, name)));
+                return true;
+            } catch (IOException | IllegalArgumentException e) {
+                Log.e(TAG, "shareFile failed", e);
+                return false;
+            }
+        }
+
+        /** Renders HTML off-screen and opens the system print dialog (Save as PDF / share). */
+        @JavascriptInterface
+        public void printHtml(String jobName, String html) {
+            activity.runOnUiThread(() -> {
+                WebView view = new WebView(activity);
+                view.setWebViewClient(new WebViewClient() {
+                    @Override
+                    public void onPageFinished(WebView v, String url) {
+                        PrintManager pm = (PrintManager) activity.getSystemService(Context.PRINT_SERVICE);
+                        if (pm != null) {
+                            pm.print(jobName, v.createPrintDocumentAdapter(jobName),
+                                    new PrintAttributes.Builder().setMediaSize(PrintAttributes.MediaSize.ISO_A4).build());
+                        }
+                    }
+                });
+                view.loadDataWithBaseURL(null, html, "text/html", "UTF-8", null);
+                printView = view;
+            });
+        }
+    }
+
     // Location permission launcher
     private final ActivityResultLauncher<String> permissionLauncher =
             registerForActivityResult(new ActivityResultContracts.RequestPermission(), granted -> {
                 if (granted && webView != null) webView.reload();
             });
 
+    // Notification permission (Android 13+); result goes back to JS
+    final ActivityResultLauncher<String> notifyPermissionLauncher =
+            registerForActivityResult(new ActivityResultContracts.RequestPermission(), granted -> {
+                if (webView != null) webView.evaluateJavascript("window.Notify && Notify.onPermission(" + granted + ")", null);
+            });
+
     // File chooser launcher (for <input type="file">)
     private final ActivityResultLauncher<Intent> fileChooserLauncher =
             registerForActivityResult(new ActivityResultContracts.StartActivityForResult(), result -> {
                 if (filePathCallback == null) return;
                 Uri[] uris = null;
-                if (result.getData() != null && result.getResultCode() == RESULT_OK) {
-                    Uri uri = result.getData().getData();
-                    if (uri != null) uris = new Uri[]{uri};
+                Intent data = result.getData();
+                if (data != null && result.getResultCode() == RESULT_OK) {
+                    ClipData clip = data.getClipData();
+                    if (clip != null && clip.getItemCount() > 0) {
+                        // <input multiple>: the picker returns every selection in ClipData
+                        uris = new Uri[clip.getItemCount()];
+                        for (int i = 0; i < clip.getItemCount(); i++) uris[i] = clip.getItemAt(i).getUri();
+                    } else if (data.getData() != null) {
+                        uris = new Uri[]{data.getData()};
+                    }
                 }
                 filePathCallback.onReceiveValue(uris);
                 filePathCallback = null;
@@ -98,6 +437,7 @@ public class MainActivity extends AppCompatActivity {
         super.onCreate(savedInstanceState);
         setContentView(R.layout.activity_main);
         webView = findViewById(R.id.web);
+        pendingReportId = getIntent().getStringExtra(EXTRA_REPORT_ID);
 
         // ---- WebView setup ----
         WebSettings s = webView.getSettings();
@@ -119,7 +459,12 @@ public class MainActivity extends AppCompatActivity {
 
         // JS bridge for persistence
         webView.addJavascriptInterface(new NativeStore(this), "NativeStore");
+        webView.addJavascriptInterface(new NativeSecureStore(this), "NativeSecureStore");
+        webView.addJavascriptInterface(new NativeBlobs(this), "NativeBlobs");
         webView.addJavascriptInterface(new NativeLog(), "NativeLog");
+        webView.addJavascriptInterface(new NativeNotify(this), "NativeNotify");
+        webView.addJavascriptInterface(new NativeSync(this), "NativeSync");
+        webView.addJavascriptInterface(new NativeExport(this), "NativeExport");
 
         // Prevent redirects opening external browsers
         webView.setWebViewClient(new WebViewClient() {
@@ -148,6 +493,19 @@ public class MainActivity extends AppCompatActivity {
                                              FileChooserParams fileChooserParams) {
                 MainActivity.this.filePathCallback = filePathCallback;
                 Intent intent = fileChooserParams.createIntent();
+                List<String> types = new ArrayList<>();
+                for (String accept : fileChooserParams.getAcceptTypes()) {
+                    for (String t : accept.split(",")) {
+                        if (!t.trim().isEmpty()) types.add(t.trim());
+                    }
+                }
+                if (types.size() > 1) {
+                    intent.setType("*/*");
+                    intent.putExtra(Intent.EXTRA_MIME_TYPES, types.toArray(new String[0]));
+                }
+                if (fileChooserParams.getMode() == FileChooserParams.MODE_OPEN_MULTIPLE) {
+                    intent.putExtra(Intent.EXTRA_ALLOW_MULTIPLE, true);
+                }
                 fileChooserLauncher.launch(intent);
                 return true;
             }
@@ -184,6 +542,30 @@ public class MainActivity extends AppCompatActivity {
         });
     }
 
+    @Override
+    protected void onStart() {
+        super.onStart();
+        inForeground = true;
+    }
+
+    // Leaving the app: hand whatever is still queued to WorkManager
+    @Override
+    protected void onStop() {
+        inForeground = false;
+        if (QueueSyncWorker.hasPending(this)) QueueSyncWorker.schedule(this);
+        super.onStop();
+    }
+
+    // Notification tapped while the app is already running
+    @Override
+    protected void onNewIntent(Intent intent) {
+        super.onNewIntent(intent);
+        setIntent(intent);
+        String reportId = intent.getStringExtra(EXTRA_REPORT_ID);
+        if (reportId == null || webView == null) return;
+        webView.evaluateJavascript("window.UI && UI.openReportById(" + JSONObject.quote(reportId) + ")", null);
+    }
+
     private boolean shouldBlockNavigation(Uri uri) {
         if (uri == null) return false;
         String scheme = uri.getScheme();
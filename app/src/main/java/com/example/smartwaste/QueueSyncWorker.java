@@ -0,0 +1,496 @@
+package com.example.smartwaste;
+
+import android.content.Context;
+import android.content.SharedPreferences;
+import android.util.Base64;
+import android.util.Log;
+
+import androidx.annotation.NonNull;
+import androidx.work.BackoffPolicy;
+import androidx.work.Constraints;
+import androidx.work.ExistingWorkPolicy;
+import androidx.work.NetworkType;
+import androidx.work.OneTimeWorkRequest;
+import androidx.work.WorkManager;
+import androidx.work.Worker;
+import androidx.work.WorkerParameters;
+
+import org.json.JSONArray;
+import org.json.JSONException;
+import org.json.JSONObject;
+
+import java.io.ByteArrayOutputStream;
+import java.io.IOException;
+import java.io.InputStream;
+import java.io.OutputStream;
+import java.net.HttpURLConnection;
+import java.net.URL;
+import java.net.URLEncoder;
+import java.nio.charset.StandardCharsets;
+import java.time.Instant;
+import java.util.HashSet;
+import java.util.Locale;
+import java.util.Set;
+import java.util.UUID;
+import java.util.concurrent.TimeUnit;
+
+/**
+ * Replays the WebView's offline queue while the app is closed.
+ *
+ * JS publishes the sendable part of the queue through {@link MainActivity.NativeSync}
+ * ({ base, tokens: { owner: jwt }, items: [{ id, owner, type, path, body, expect }] }); the tokens
+ * are split off into {@link MainActivity.NativeSecureStore}. This job checks the report is still
+ * in one of the {@code expect} statuses (the same rule as OfflineQueue.checkConflict), uploads
+ * any parked media, POSTs each item with its queue id as the Idempotency-Key and records one
+ * result per item, which JS folds back into its Store on the next launch.
+ */
+public class QueueSyncWorker extends Worker {
+
+    private static final String TAG = "CivicSweep";
+    static final String WORK_NAME = "offline-queue-sync";
+    private static final String PREFS = "civicsweep_sync";
+    private static final String KEY_PENDING = "pending";
+    private static final String KEY_RESULTS = "results";
+    private static final String KEY_CREATED = "created"; // q_ id -> server report id
+    private static final String SECURE_TOKENS = "syncTokens"; // owner -> jwt, kept in NativeSecureStore
+    private static final String[] MEDIA_FIELDS = {"photo", "proof"};
+    private static final Object LOCK = new Object();
+
+    public QueueSyncWorker(@NonNull Context context, @NonNull WorkerParameters params) {
+        super(context, params);
+    }
+
+    private static SharedPreferences prefs(Context ctx) {
+        return ctx.getSharedPreferences(PREFS, Context.MODE_PRIVATE);
+    }
+
+    /* ---------------- Bridge side ---------------- */
+
+    /** Replaces the pending copy, minus items that already have a result JS hasn't taken yet. */
+    static void savePending(Context ctx, String json) {
+        int count;
+        synchronized (LOCK) {
+            SharedPreferences p = prefs(ctx);
+            try {
+                JSONObject state = new JSONObject(json);
+                Set<String> done = resultIds(p);
+                JSONArray items = state.optJSONArray("items");
+                JSONArray keep = new JSONArray();
+                for (int i = 0; items != null && i < items.length(); i++) {
+                    JSONObject item = items.getJSONObject(i);
+                    if (!done.contains(item.optString("id"))) keep.put(item);
+                }
+                state.put("items", keep);
+                count = keep.length();
+                // Tokens go to the encrypted store, never into these plain prefs
+                JSONObject tokens = state.optJSONObject("tokens");
+                state.remove("tokens");
+                new MainActivity.NativeSecureStore(ctx).setItem(SECURE_TOKENS, tokens == null ? "{}" : tokens.toString());
+                p.edit().putString(KEY_PENDING, state.toString()).commit();
+            } catch (JSONException e) {
+                Log.e(TAG, "sync setPending: bad JSON", e);
+                return;
+            }
+        }
+        if (count > 0) schedule(ctx);
+        else WorkManager.getInstance(ctx).cancelUniqueWork(WORK_NAME);
+    }
+
+    /** Returns and clears the results recorded since the last call (JSON array). */
+    static String takeResults(Context ctx) {
+        synchronized (LOCK) {
+            SharedPreferences p = prefs(ctx);
+            String results = p.getString(KEY_RESULTS, "[]");
+            p.edit().remove(KEY_RESULTS).commit();
+            return results;
+        }
+    }
+
+    static boolean hasPending(Context ctx) {
+        migrateLegacyTokens(ctx);
+        synchronized (LOCK) {
+            JSONObject state = loadPending(prefs(ctx));
+            JSONArray items = state == null ? null : state.optJSONArray("items");
+            return items != null && items.length() > 0;
+        }
+    }
+
+    /** Runs once the device is online; replaces any queued run so it sees the latest copy. */
+    static void schedule(Context ctx) {
+        Constraints constraints = new Constraints.Builder()
+                .setRequiredNetworkType(NetworkType.CONNECTED)
+                .build();
+        OneTimeWorkRequest req = new OneTimeWorkRequest.Builder(QueueSyncWorker.class)
+                .setConstraints(constraints)
+                .setBackoffCriteria(BackoffPolicy.EXPONENTIAL, 30, TimeUnit.SECONDS)
+                .build();
+        WorkManager.getInstance(ctx).enqueueUniqueWork(WORK_NAME, ExistingWorkPolicy.REPLACE, req);
+    }
+
+    private static JSONObject loadPending(SharedPreferences p) {
+        try {
+            String raw = p.getString(KEY_PENDING, null);
+            return raw == null ? null : new JSONObject(raw);
+        } catch (JSONException e) {
+            return null;
+        }
+    }
+
+    /**
+     * Builds before the encrypted store kept the owners' tokens inside the pending JSON. Move any
+     * such copy across and rewrite the prefs without it, even if the secure write fails.
+     */
+    private static void migrateLegacyTokens(Context ctx) {
+        synchronized (LOCK) {
+            SharedPreferences p = prefs(ctx);
+            JSONObject state = loadPending(p);
+            if (state == null || !state.has("tokens")) return;
+            JSONObject tokens = state.optJSONObject("tokens");
+            state.remove("tokens");
+            MainActivity.NativeSecureStore secure = new MainActivity.NativeSecureStore(ctx);
+            if (tokens != null && secure.getItem(SECURE_TOKENS) == null) {
+                secure.setItem(SECURE_TOKENS, tokens.toString());
+            }
+            p.edit().putString(KEY_PENDING, state.toString()).commit();
+        }
+    }
+
+    private static Set<String> resultIds(SharedPreferences p) throws JSONException {
+        Set<String> ids = new HashSet<>();
+        JSONArray results = new JSONArray(p.getString(KEY_RESULTS, "[]"));
+        for (int i = 0; i < results.length(); i++) ids.add(results.getJSONObject(i).optString("id"));
+        return ids;
+    }
+
+    /* ---------------- Worker side ---------------- */
+
+    @NonNull
+    @Override
+    public Result doWork() {
+        // The WebView flushes the queue itself while it's visible; MainActivity.onStop reschedules us
+        if (MainActivity.inForeground) return Result.success();
+
+        Context ctx = getApplicationContext();
+        migrateLegacyTokens(ctx);
+        JSONObject state;
+        JSONObject created;
+        synchronized (LOCK) {
+            SharedPreferences p = prefs(ctx);
+            state = loadPending(p);
+            try {
+                created = new JSONObject(p.getString(KEY_CREATED, "{}"));
+            } catch (JSONException e) {
+                created = new JSONObject();
+            }
+        }
+        if (state == null) return Result.success();
+        String base = state.optString("base");
+        JSONObject tokens;
+        try {
+            String raw = new MainActivity.NativeSecureStore(ctx).getItem(SECURE_TOKENS);
+            tokens = raw == null ? null : new JSONObject(raw);
+        } catch (JSONException e) {
+            tokens = null;
+        }
+        JSONArray items = state.optJSONArray("items");
+        if (items == null || tokens == null) return Result.success();
+
+        Set<String> rejectedOwners = new HashSet<>(); // token refused: leave their items for the app
+        MainActivity.NativeBlobs blobs = new MainActivity.NativeBlobs(ctx);
+        for (int i = 0; i < items.length(); i++) {
+            if (isStopped()) return Result.success();
+            try {
+                JSONObject item = items.getJSONObject(i);
+                String id = item.getString("id");
+                String owner = item.optString("owner");
+                String token = tokens.optString(owner, "");
+                if (token.isEmpty() || rejectedOwners.contains(owner)) continue;
+
+                JSONObject body = item.getJSONObject("body");
+                String path = retarget(item.getString("path"), body, created);
+                String reportId = body.optString("reportId", "");
+                // Its report.create hasn't gone through: leave it for the app to sort out
+                if (reportId.startsWith("q_")) continue;
+
+                JSONArray expect = item.optJSONArray("expect");
+                if (expect != null && !reportId.isEmpty()) {
+                    Response current = get(base + "/reports/" + URLEncoder.encode(reportId, "UTF-8"), token);
+                    if (current.code == 401 || current.code == 403) {
+                        rejectedOwners.add(owner);
+                        continue;
+                    }
+                    JSONObject conflict = conflict(current, expect);
+                    if (conflict != null) {
+                        record(ctx, id, conflict
+                                .put("id", id)
+                                .put("ok", false)
+                                .put("status", 409)
+                                .put("at", Instant.now().toString()), created);
+                        continue;
+                    }
+                }
+
+                uploadParkedMedia(blobs, base, token, id, body);
+                Response res = post(base + path, token, id, "application/json",
+                        body.toString().getBytes(StandardCharsets.UTF_8));
+                if (res.code == 401 || res.code == 403) {
+                    rejectedOwners.add(owner);
+                    continue;
+                }
+
+                JSONObject result = new JSONObject()
+                        .put("id", id)
+                        .put("ok", res.ok())
+                        .put("status", res.code)
+                        .put("at", Instant.now().toString());
+                JSONObject json = res.json();
+                if (res.ok()) {
+                    if (json != null) result.put("response", json);
+                    if ("report.create".equals(item.optString("type")) && json != null && json.has("id")) {
+                        created.put(id, json.get("id"));
+                    }
+                } else {
+                    result.put("error", res.errorMessage()).put("body", body);
+                }
+                record(ctx, id, result, created);
+            } catch (IOException e) {
+                Log.w(TAG, "background sync: network error, will retry", e);
+                return Result.retry();
+            } catch (JSONException e) {
+                // Malformed item or a refused upload: report it back instead of retrying forever
+                Log.e(TAG, "background sync: item failed", e);
+                JSONObject item = items.optJSONObject(i);
+                String id = item == null ? "" : item.optString("id");
+                if (id.isEmpty()) continue;
+                try {
+                    record(ctx, id, new JSONObject()
+                            .put("id", id)
+                            .put("ok", false)
+                            .put("status", 0)
+                            .put("error", e.getMessage())
+                            .put("at", Instant.now().toString()), created);
+                } catch (JSONException ignored) {
+                    // nothing sensible left to do
+                }
+            }
+        }
+        return Result.success();
+    }
+
+    /**
+     * Same outcome as OfflineQueue.checkConflict: { error, serverStatus } when the report is gone
+     * or has moved past what the action expects, null when it still fits or we can't tell.
+     */
+    private static JSONObject conflict(Response current, JSONArray expect) throws JSONException {
+        if (current.code == 404) {
+            return new JSONObject().put("error", "Report no longer exists").put("serverStatus", JSONObject.NULL);
+        }
+        JSONObject report = current.json();
+        if (!current.ok() || report == null) return null; // let the server decide
+        String status = report.optString("status", "").toUpperCase(Locale.ROOT);
+        if (status.isEmpty()) status = "NEW";
+        for (int i = 0; i < expect.length(); i++) {
+            if (status.equals(expect.optString(i))) return null;
+        }
+        return new JSONObject().put("error", "Report is already " + status).put("serverStatus", status);
+    }
+
+    /** Points actions at a report created earlier in this queue to its server id. */
+    private static String retarget(String path, JSONObject body, JSONObject created) throws JSONException {
+        String reportId = body.optString("reportId", "");
+        if (!created.has(reportId)) return path;
+        String serverId = String.valueOf(created.get(reportId));
+        body.put("reportId", created.get(reportId));
+        try {
+            return path.replace("/" + URLEncoder.encode(reportId, "UTF-8") + "/",
+                    "/" + URLEncoder.encode(serverId, "UTF-8") + "/");
+        } catch (IOException e) {
+            return path;
+        }
+    }
+
+    /** Drops the item from the pending copy and appends its result, atomically w.r.t. the bridge. */
+    private static void record(Context ctx, String id, JSONObject result, JSONObject created) throws JSONException {
+        synchronized (LOCK) {
+            SharedPreferences p = prefs(ctx);
+            JSONObject state = loadPending(p);
+            if (state != null) {
+                JSONArray items = state.optJSONArray("items");
+                JSONArray keep = new JSONArray();
+                for (int i = 0; items != null && i < items.length(); i++) {
+                    JSONObject item = items.getJSONObject(i);
+                    if (!id.equals(item.optString("id"))) keep.put(item);
+                }
+                state.put("items", keep);
+            }
+            JSONArray results = new JSONArray(p.getString(KEY_RESULTS, "[]"));
+            results.put(result);
+            SharedPreferences.Editor e = p.edit()
+                    .putString(KEY_RESULTS, results.toString())
+                    .putString(KEY_CREATED, created.toString());
+            if (state != null) e.putString(KEY_PENDING, state.toString());
+            e.commit();
+        }
+    }
+
+    /** Same as Media.resolve in app.js: upload blobs parked on disk and swap in media refs. */
+    private void uploadParkedMedia(MainActivity.NativeBlobs blobs, String base, String token, String key, JSONObject body)
+            throws IOException, JSONException {
+        for (String field : MEDIA_FIELDS) {
+            JSONArray media = body.optJSONArray(field + "Media");
+            String single = body.optString(field + "BlobId", "");
+            if (!single.isEmpty()) {
+                // single photo migrated from an older queue
+                body.remove(field + "BlobId");
+                if (media == null) {
+                    media = new JSONArray().put(new JSONObject().put("kind", "image").put("blobId", single));
+                }
+            }
+            if (media == null) continue;
+            boolean parked = false;
+            for (int i = 0; i < media.length(); i++) parked |= media.getJSONObject(i).has("blobId");
+            if (!parked) continue;
+
+            JSONArray uploaded = new JSONArray();
+            for (int i = 0; i < media.length(); i++) {
+                JSONObject m = media.getJSONObject(i);
+                if (!m.has("blobId")) {
+                    uploaded.put(m);
+                    continue;
+                }
+                String blobId = m.getString("blobId");
+                String dataUrl = blobs.get(blobId);
+                if (dataUrl == null) continue;
+                String kind = m.optString("kind", "image");
+                String thumb = m.optString("thumb", "");
+                JSONObject res = uploadMedia(base, token, key + "." + blobId, field, kind, dataUrl,
+                        thumb.startsWith("data:") ? thumb : dataUrl);
+                uploaded.put(new JSONObject()
+                        .put("kind", kind)
+                        .put("id", res.opt("id"))
+                        .put("url", res.opt("url"))
+                        .put("thumbUrl", res.has("thumbUrl") ? res.opt("thumbUrl") : res.opt("url")));
+            }
+            body.put(field + "Media", uploaded);
+            body.remove(field + "Thumb");
+            // Mirror the first image onto the flat fields, like Media.withPrimary
+            for (int i = 0; i < uploaded.length(); i++) {
+                JSONObject m = uploaded.getJSONObject(i);
+                if (!"image".equals(m.optString("kind"))) continue;
+                body.put(field + "Id", m.opt("id"));
+                body.put(field + "Url", m.opt("url"));
+                body.put(field + "ThumbUrl", m.opt("thumbUrl"));
+                break;
+            }
+        }
+    }
+
+    private JSONObject uploadMedia(String base, String token, String key, String field, String kind,
+                                   String dataUrl, String thumbUrl) throws IOException, JSONException {
+        String boundary = "----civicsweep" + UUID.randomUUID();
+        ByteArrayOutputStream form = new ByteArrayOutputStream();
+        writeField(form, boundary, "kind", field);
+        writeField(form, boundary, "mediaType", kind);
+        String ext = "image".equals(kind) ? "jpg" : "mp4";
+        writeFile(form, boundary, "file", field + "." + ext, dataUrl);
+        writeFile(form, boundary, "thumb", field + "-thumb.jpg", thumbUrl);
+        form.write(("--" + boundary + "--\r\n").getBytes(StandardCharsets.UTF_8));
+
+        Response res = post(base + "/media", token, key, "multipart/form-data; boundary=" + boundary, form.toByteArray());
+        if (!res.ok()) throw new JSONException("media upload failed: HTTP " + res.code);
+        JSONObject json = res.json();
+        if (json == null) throw new JSONException("media upload: empty response");
+        return json;
+    }
+
+    private static void writeField(ByteArrayOutputStream out, String boundary, String name, String value) throws IOException {
+        out.write(("--" + boundary + "\r\nContent-Disposition: form-data; name=\"" + name + "\"\r\n\r\n"
+                + value + "\r\n").getBytes(StandardCharsets.UTF_8));
+    }
+
+    private static void writeFile(ByteArrayOutputStream out, String boundary, String name, String filename, String dataUrl)
+            throws IOException {
+        int comma = dataUrl.indexOf(',');
+        String head = comma > 0 ? dataUrl.substring(0, comma) : "";
+        String mime = head.startsWith("data:") ? head.substring(5).split(";")[0] : "image/jpeg";
+        byte[] bytes = Base64.decode(dataUrl.substring(comma + 1), Base64.DEFAULT);
+        out.write(("--" + boundary + "\r\nContent-Disposition: form-data; name=\"" + name + "\"; filename=\""
+                + filename + "\"\r\nContent-Type: " + mime + "\r\n\r\n").getBytes(StandardCharsets.UTF_8));
+        out.write(bytes);
+        out.write("\r\n".getBytes(StandardCharsets.UTF_8));
+    }
+
+    private static Response get(String url, String token) throws IOException {
+        return request("GET", url, token, null, null, null);
+    }
+
+    private static Response post(String url, String token, String idempotencyKey, String contentType, byte[] bytes)
+            throws IOException {
+        return request("POST", url, token, idempotencyKey, contentType, bytes);
+    }
+
+    private static Response request(String method, String url, String token, String idempotencyKey,
+                                    String contentType, byte[] bytes) throws IOException {
+        HttpURLConnection c = (HttpURLConnection) new URL(url).openConnection();
+        try {
+            c.setRequestMethod(method);
+            c.setConnectTimeout(15_000);
+            c.setReadTimeout(60_000);
+            c.setUseCaches(false);
+            c.setRequestProperty("Authorization", "Bearer " + token);
+            if (bytes != null) {
+                c.setDoOutput(true);
+                c.setRequestProperty("Content-Type", contentType);
+                c.setRequestProperty("Idempotency-Key", idempotencyKey);
+                try (OutputStream out = c.getOutputStream()) {
+                    out.write(bytes);
+                }
+            }
+            int code = c.getResponseCode();
+            InputStream in = code >= 400 ? c.getErrorStream() : c.getInputStream();
+            String text = "";
+            if (in != null) {
+                try (InputStream s = in) {
+                    ByteArrayOutputStream buf = new ByteArrayOutputStream();
+                    byte[] chunk = new byte[8 * 1024];
+                    int n;
+                    while ((n = s.read(chunk)) != -1) buf.write(chunk, 0, n);
+                    text = buf.toString("UTF-8");
+                }
+            }
+            return new Response(code, text);
+        } finally {
+            c.disconnect();
+        }
+    }
+
+    private static final class Response {
+        final int code;
+        final String text;
+
+        Response(int code, String text) {
+            this.code = code;
+            this.text = text;
+        }
+
+        boolean ok() {
+            return code >= 200 && code < 300;
+        }
+
+        JSONObject json() {
+            try {
+                return text.isEmpty() ? null : new JSONObject(text);
+            } catch (JSONException e) {
+                return null;
+            }
+        }
+
+        /** Same precedence as api() in app.js: error, then message, then the status. */
+        String errorMessage() {
+            JSONObject j = json();
+            if (j != null && !j.optString("error").isEmpty()) return j.optString("error");
+            if (j != null && !j.optString("message").isEmpty()) return j.optString("message");
+            return "HTTP " + code;
+        }
+    }
+}
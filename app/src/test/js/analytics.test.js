@@ -0,0 +1,67 @@
+// Pin a timezone well away from UTC so day bucketing is actually exercised
+process.env.TZ = "Asia/Kolkata";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const Analytics = loadApp().get("Analytics");
+const H = 3600000;
+
+test("buckets days by local date, not UTC", () => {
+  // 20:00 UTC is 01:30 the next morning in IST
+  assert.equal(Analytics.dayKey("2025-03-01T20:00:00Z"), "2025-03-02");
+  assert.equal(Analytics.dayKey("2025-03-01T10:00:00Z"), "2025-03-01");
+  assert.equal(Analytics.dayKey("not a date"), null);
+});
+
+test("trend covers the last N calendar days ending today", () => {
+  const { trend } = Analytics.compute([], 7);
+  assert.equal(trend.length, 7);
+  assert.equal(trend[6].day, Analytics.dayKey(Date.now()));
+  assert.equal(new Set(trend.map(t => t.day)).size, 7);
+});
+
+test("counts by status, type and day, and medians response times", () => {
+  const t0 = Date.now() - 2 * H;
+  const iso = ms => new Date(ms).toISOString();
+  const rows = [
+    { status: "NEW", wasteType: "Plastic", createdAt: iso(t0) },
+    { status: "ASSIGNED", wasteType: "plastic", createdAt: iso(t0), assignedAt: iso(t0 + H), assignedVendorId: "v1" },
+    { status: "RESOLVED", wasteType: "glass", createdAt: iso(t0), assignedAt: iso(t0 + 0.5 * H), resolvedAt: iso(t0 + 2 * H), assignedVendorId: "v1", reopenCount: 1 },
+    { status: "bogus", createdAt: iso(t0) }
+  ];
+  const s = plain(Analytics.compute(rows, 30));
+  assert.equal(s.total, 4);
+  assert.equal(s.open, 3);
+  assert.deepEqual(s.byStatus, { NEW: 2, ASSIGNED: 1, RESOLVED: 1 });
+  assert.deepEqual(s.byType, { plastic: 2, glass: 1, unknown: 1 });
+  assert.equal(s.medianAssignH, 0.75);
+  assert.equal(s.medianResolveH, 2);
+  assert.deepEqual(s.vendors, [{ id: "v1", assigned: 2, resolved: 1, completed: 1, reopened: 1, reopenRate: 1 }]);
+  const today = s.trend.find(t => t.day === Analytics.dayKey(t0 + 2 * H));
+  const created = s.trend.find(t => t.day === Analytics.dayKey(t0));
+  assert.equal(created.created, 4);
+  assert.equal(today.resolved, 1);
+});
+
+test("reopen rate counts reports that were reopened and not yet resolved again", () => {
+  const rows = [
+    { status: "RESOLVED", assignedVendorId: "v1", resolvedAt: "2025-01-02T00:00:00Z" },
+    { status: "RESOLVED", assignedVendorId: "v1", resolvedAt: "2025-01-02T00:00:00Z", reopenCount: 1 },
+    { status: "ASSIGNED", assignedVendorId: "v1", reopenCount: 1 },
+    { status: "ASSIGNED", assignedVendorId: "v1" }
+  ];
+  const [v] = plain(Analytics.compute(rows, 30).vendors);
+  assert.equal(v.resolved, 2);
+  assert.equal(v.completed, 3);
+  assert.equal(v.reopened, 2);
+  assert.ok(v.reopenRate <= 1);
+  assert.equal(v.reopenRate, 2 / 3);
+});
+
+test("median handles even, odd and empty lists", () => {
+  assert.equal(Analytics.median([3, 1, 2]), 2);
+  assert.equal(Analytics.median([4, 1, 2, 3]), 2.5);
+  assert.equal(Analytics.median([NaN]), null);
+});
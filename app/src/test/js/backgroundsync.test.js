@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./harness");
+
+const item = (id, type, payload, extra = {}) => ({ id, type, payload, owner: "user:a", createdAt: "2025-01-01T00:00:00Z", ...extra });
+
+function published(list) {
+  let sent = null;
+  const NativeSync = { setPending: json => { sent = JSON.parse(json); }, takeResults: () => "[]" };
+  const { get, ctx } = loadApp({ globals: { NativeSync } });
+  ctx.savedTokenFor = () => "tok";
+  get("OfflineQueue").list = list;
+  get("BackgroundSync").publish();
+  return sent;
+}
+
+test("publishes each item with the statuses it expects to find", () => {
+  const { items } = published([
+    item("q_1", "vendor.start", { reportId: 5 }),
+    item("q_2", "admin.status", { reportId: 6, status: "IN_PROGRESS" }, { base: { status: "ASSIGNED" } }),
+    item("q_3", "admin.wasteType", { reportId: 7, label: "glass" }),
+    item("q_4", "admin.approve", { reportId: 8 }, { force: true })
+  ]);
+  assert.deepEqual(items.map(i => i.expect), [["ASSIGNED", "IN_PROGRESS"], ["ASSIGNED", "IN_PROGRESS"], null, null]);
+});
+
+test("follow-ups to a held report stay with the app", () => {
+  const { items } = published([
+    item("q_1", "report.create", { title: "a" }, { error: "Bad request" }),
+    item("q_2", "report.attach", { reportId: "q_1" }),
+    item("q_3", "report.create", { title: "b" }),
+    item("q_4", "report.attach", { reportId: "q_3" }),
+    item("q_5", "report.attach", { reportId: "q_9" })
+  ]);
+  assert.deepEqual(items.map(i => i.id), ["q_3", "q_4"]);
+});
+
+test("never publishes tokens for owners with nothing to send", () => {
+  const { tokens } = published([item("q_1", "report.create", { title: "a" }, { conflict: { reason: "x" } })]);
+  assert.deepEqual(tokens, {});
+});
+
+test("a conflict found by the worker comes back as a conflict, not a failure", () => {
+  const results = [{ id: "q_1", ok: false, status: 409, error: "Report is already RESOLVED", serverStatus: "RESOLVED", at: "2025-01-02T00:00:00Z" }];
+  const NativeSync = { setPending() {}, takeResults: () => JSON.stringify(results) };
+  const { get } = loadApp({ globals: { NativeSync } });
+  get("OfflineQueue").list = [item("q_1", "vendor.complete", { reportId: 5 })];
+  get("BackgroundSync").collect();
+  const [kept] = get("OfflineQueue").list;
+  assert.equal(kept.error, undefined);
+  assert.equal(kept.conflict.reason, "Report is already RESOLVED");
+  assert.equal(kept.conflict.serverStatus, "RESOLVED");
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const task = { id: "42", lat: 12.97, lng: 77.59, status: "ASSIGNED" };
+
+test("finds a task in a cached list that isn't the one on screen", async () => {
+  const { get } = loadApp({ store: { "cache:reports.vendor.ASSIGNED": { t: Date.now(), v: [task] } } });
+  assert.deepEqual(plain(await get("Reports").findVendorReport("42")), task);
+});
+
+test("returns null offline when the task isn't cached anywhere", async () => {
+  const { get } = loadApp();
+  assert.equal(await get("Reports").findVendorReport("42"), null);
+});
+
+test("refuses to check in when the task's location is unknown", async () => {
+  const toasts = [];
+  const { get, ctx } = loadApp({
+    globals: {
+      navigator: {
+        onLine: false,
+        geolocation: { getCurrentPosition: ok => ok({ coords: { latitude: 12.97, longitude: 77.59, accuracy: 5 } }) }
+      }
+    }
+  });
+  // Startup drops a session without a token, so sign in after load
+  get("Session").data = { role: "vendor", vendorId: "v1" };
+  ctx.toast = msg => toasts.push(msg);
+  const before = get("OfflineQueue.list.length");
+  await get("Reports").vendorStart("42");
+  assert.equal(get("OfflineQueue.list.length"), before);
+  assert.match(toasts.join("\n"), /location/i);
+});
+
+test("proof is timed from when the photo was picked, not when the form is sent", async () => {
+  const { get, ctx } = loadApp({
+    globals: {
+      navigator: {
+        onLine: false,
+        geolocation: { getCurrentPosition: ok => ok({ coords: { latitude: 12.97, longitude: 77.59, accuracy: 5 } }) }
+      }
+    }
+  });
+  const page = ctx.document;
+  ctx.document = new Proxy(page, {
+    get: (t, k) => k === "querySelector" ? s => (s === "#vReportId" ? { value: "42" } : t.querySelector(s)) : t[k]
+  });
+  get("Session").data = { role: "vendor", vendorId: "v1" };
+  ctx.toast = () => {};
+  const pickedAt = new Date(Date.now() - 2 * 3600000).toISOString();
+  get("UI")._picks.proof = [{ kind: "image", dataUrl: "data:image/jpeg;base64,AA==", thumb: null, pickedAt }];
+
+  await get("Reports").vendorComplete();
+  const item = get("OfflineQueue.list").find(i => i.type === "vendor.complete");
+  assert.equal(item.payload.proofAt, pickedAt);
+});
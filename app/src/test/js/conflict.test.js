@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+// Server holding one report; records the URLs it was asked for
+function server(report, seen = []) {
+  return async url => {
+    seen.push(url);
+    if (!report) return { ok: false, status: 404, json: async () => ({ error: "Not found" }) };
+    return { ok: true, status: 200, json: async () => report };
+  };
+}
+
+const check = async (report, item) => {
+  const { get } = loadApp({ online: true, globals: { fetch: server(report) } });
+  return plain(await get("OfflineQueue").checkConflict(item, "tok"));
+};
+
+test("an action that still fits the report goes ahead", async () => {
+  assert.equal(await check({ id: 5, status: "ASSIGNED" }, { type: "vendor.start", payload: { reportId: 5 } }), null);
+  assert.equal(await check({ id: 5, status: "VERIFICATION_PENDING" }, { type: "admin.approve", payload: { reportId: 5 } }), null);
+});
+
+test("flags an action someone else already overtook", async () => {
+  assert.deepEqual(
+    await check({ id: 5, status: "RESOLVED" }, { type: "vendor.complete", payload: { reportId: 5 } }),
+    { reason: "Report is already RESOLVED", serverStatus: "RESOLVED" }
+  );
+  assert.deepEqual(
+    await check({ id: 5, status: "ASSIGNED" }, { type: "admin.reject", payload: { reportId: 5 } }),
+    { reason: "Report is already ASSIGNED", serverStatus: "ASSIGNED" }
+  );
+});
+
+test("flags a report that no longer exists", async () => {
+  assert.deepEqual(
+    await check(null, { type: "report.confirm", payload: { reportId: 5 } }),
+    { reason: "Report no longer exists", serverStatus: null }
+  );
+});
+
+test("a status change conflicts only if the report moved somewhere else meanwhile", async () => {
+  const item = { type: "admin.status", payload: { reportId: 5, status: "IN_PROGRESS" }, base: { status: "ASSIGNED" } };
+  assert.equal(await check({ id: 5, status: "ASSIGNED" }, item), null);
+  assert.equal(await check({ id: 5, status: "IN_PROGRESS" }, item), null);
+  assert.deepEqual(await check({ id: 5, status: "RESOLVED" }, item), {
+    reason: "Status changed to RESOLVED since this was queued",
+    serverStatus: "RESOLVED"
+  });
+});
+
+test("skips the lookup for forced items, queued reports and actions without a rule", async () => {
+  const seen = [];
+  const { get } = loadApp({ online: true, globals: { fetch: server({ status: "RESOLVED" }, seen) } });
+  const Q = get("OfflineQueue");
+  assert.equal(await Q.checkConflict({ type: "vendor.start", force: true, payload: { reportId: 5 } }, "tok"), null);
+  assert.equal(await Q.checkConflict({ type: "vendor.start", payload: { reportId: "q_1_abc" } }, "tok"), null);
+  assert.equal(await Q.checkConflict({ type: "admin.wasteType", payload: { reportId: 5 } }, "tok"), null);
+  assert.equal(await Q.checkConflict({ type: "report.create", payload: {} }, "tok"), null);
+  assert.equal(seen.length, 0);
+});
+
+test("a network failure propagates so the item stays queued", async () => {
+  const { get } = loadApp({ online: true, globals: { fetch: () => Promise.reject(new TypeError("Failed to fetch")) } });
+  await assert.rejects(get("OfflineQueue").checkConflict({ type: "vendor.start", payload: { reportId: 5 } }, "tok"), /fetch/);
+});
+
+test("other server errors leave the decision to the server", async () => {
+  const fetch = async () => ({ ok: false, status: 500, json: async () => ({ error: "boom" }) });
+  const { get } = loadApp({ online: true, globals: { fetch } });
+  assert.equal(await get("OfflineQueue").checkConflict({ type: "vendor.start", payload: { reportId: 5 } }, "tok"), null);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const { get } = loadApp();
+const Duplicates = get("Duplicates");
+
+const at = (id, lat, lng, extra = {}) => ({ id, lat, lng, createdAt: "2025-01-01T10:00:00Z", ...extra });
+const ids = groups => plain(groups).map(g => g.map(r => r.id).sort()).sort();
+
+test("groups reports within the radius and time window", () => {
+  const rows = [
+    at("a", 12.9716, 77.5946),
+    at("b", 12.9718, 77.5947), // ~25 m from a
+    at("c", 12.9800, 77.6000), // ~1 km away
+  ];
+  assert.deepEqual(ids(Duplicates.group(rows)), [["a", "b"]]);
+});
+
+test("chains matches across neighbouring grid cells", () => {
+  // 60 m steps: each pair matches, a and c don't directly
+  const rows = [at("a", 10, 20), at("b", 10.00054, 20), at("c", 10.00108, 20)];
+  assert.deepEqual(ids(Duplicates.group(rows)), [["a", "b", "c"]]);
+});
+
+test("different waste types or far-apart times do not group", () => {
+  const rows = [
+    at("a", 10, 20, { wasteType: "plastic" }),
+    at("b", 10, 20, { wasteType: "glass" }),
+    at("c", 10, 20.0001, { createdAt: "2025-02-01T00:00:00Z" })
+  ];
+  assert.deepEqual(plain(Duplicates.group(rows)), []);
+});
+
+test("matches the pairwise result on a larger random set", () => {
+  let seed = 7;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const rows = Array.from({ length: 400 }, (_, i) => at(`r${i}`, 28.6 + rand() * 0.01, 77.2 + rand() * 0.01));
+  // Reference: naive all-pairs union-find
+  const parent = rows.map((_, i) => i);
+  const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) if (Duplicates.isMatch(rows[i], rows[j])) parent[root(j)] = root(i);
+  }
+  const ref = new Map();
+  rows.forEach((r, i) => { const k = root(i); ref.set(k, [...(ref.get(k) || []), r]); });
+  const expected = ids([...ref.values()].filter(g => g.length > 1));
+  assert.deepEqual(ids(Duplicates.group(rows)), expected);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const report = { id: "9", wasteType: "plastic", wasteConfidence: 0.8, wasteTypeSource: "server", wasteModel: "m1" };
+
+test("a second correction still scores the detector's original output", async () => {
+  const { get, ctx } = loadApp();
+  ctx.toast = () => {};
+  const Reports = get("Reports"), Feedback = get("Feedback");
+  await Reports.correctWasteType(report, "glass");
+  // The server now reports the admin's label as the waste type
+  await Reports.correctWasteType({ ...report, wasteType: "glass", wasteConfidence: null, wasteTypeSource: "admin" }, "metal");
+  const [entry] = plain(Feedback.all());
+  assert.equal(entry.label, "metal");
+  assert.equal(entry.predicted, "plastic");
+  assert.equal(entry.confidence, 0.8);
+  assert.equal(entry.agreed, false);
+});
+
+test("confirming after a correction compares against the original prediction", async () => {
+  const { get, ctx } = loadApp();
+  ctx.toast = () => {};
+  const Reports = get("Reports"), Feedback = get("Feedback");
+  await Reports.correctWasteType(report, "glass");
+  await Reports.correctWasteType({ ...report, wasteType: "glass" }, "plastic");
+  assert.equal(Feedback.all()[0].agreed, true);
+});
+
+test("prefers the server's originalWasteType", () => {
+  const Feedback = loadApp().get("Feedback");
+  const p = plain(Feedback.prediction({ ...report, wasteType: "glass", originalWasteType: "paper", originalWasteConfidence: 0.6 }));
+  assert.deepEqual(p, { predicted: "paper", confidence: 0.6, source: "server", model: "m1" });
+});
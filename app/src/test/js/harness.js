@@ -0,0 +1,71 @@
+// Loads assets/app.js into a bare VM context so its pure logic can be tested with `node --test`.
+// The DOM, Leaflet and the native bridges are inert stand-ins; tests poke at the app's objects.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const APP = path.join(__dirname, "../../main/assets/app.js");
+
+// Anything the app touches that we don't care about: callable, constructible, every property is another stub
+function stub() {
+  return new Proxy(function () {}, {
+    get: (_, k) => {
+      if (k === Symbol.toPrimitive) return () => "";
+      if (k === "then") return undefined;
+      if (k === "length") return 0;
+      return stub();
+    },
+    apply: () => stub(),
+    construct: () => stub(),
+    set: () => true
+  });
+}
+
+function memoryStorage(seed = {}) {
+  const data = {};
+  Object.entries(seed).forEach(([k, v]) => { data[k] = JSON.stringify(v); });
+  return {
+    data,
+    getItem: k => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); },
+    removeItem: k => { delete data[k]; }
+  };
+}
+
+function loadApp({ store = {}, online = false, globals = {} } = {}) {
+  const localStorage = memoryStorage(store);
+  const ctx = {
+    console,
+    localStorage,
+    document: stub(),
+    navigator: { onLine: online },
+    setTimeout, clearTimeout,
+    setInterval: () => 0,
+    requestAnimationFrame: () => 0,
+    atob: s => Buffer.from(s, "base64").toString("binary"),
+    btoa: s => Buffer.from(s, "binary").toString("base64"),
+    URLSearchParams, TextEncoder, TextDecoder,
+    L: stub(),
+    alert: () => {},
+    confirm: () => true,
+    matchMedia: () => ({ matches: false, addEventListener() {} }),
+    addEventListener() {},
+    IntersectionObserver: function () { return stub(); },
+    fetch: () => Promise.reject(new TypeError("Failed to fetch")),
+    ...globals
+  };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  vm.runInContext(fs.readFileSync(APP, "utf8"), ctx, { filename: "app.js" });
+  return {
+    ctx,
+    localStorage,
+    // Top-level consts live in the script scope, not on the global object
+    get: expr => vm.runInContext(expr, ctx)
+  };
+}
+
+// Plain copy so deepStrictEqual doesn't trip over the VM realm's prototypes
+const plain = v => JSON.parse(JSON.stringify(v));
+
+module.exports = { loadApp, plain };
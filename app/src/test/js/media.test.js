@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./harness");
+
+const clip = size => ({ type: "video/mp4", size });
+
+test("caps clips to what localStorage can park without a native store", async () => {
+  const Media = loadApp().get("Media");
+  assert.equal(Media.maxVideoBytes, 2 * 1024 * 1024);
+  await assert.rejects(Media.prepare([clip(3 * 1024 * 1024)]), /too large \(max 2 MB\)/);
+});
+
+test("allows larger clips when the native blob store is there", async () => {
+  const NativeBlobs = { put: () => true, get: () => null, remove() {} };
+  const Media = loadApp({ globals: { NativeBlobs } }).get("Media");
+  assert.equal(Media.maxVideoBytes, 8 * 1024 * 1024);
+  await assert.rejects(Media.prepare([clip(9 * 1024 * 1024)]), /too large \(max 8 MB\)/);
+});
+
+test("each uploaded ref is saved before the next upload, so a failure mid-way keeps it", async () => {
+  const png = "data:image/png;base64,iVBORw0KGgo=";
+  let uploads = 0;
+  const fetch = async () => {
+    if (++uploads > 1) throw new TypeError("Failed to fetch");
+    return { ok: true, status: 200, json: async () => ({ id: "m1", url: "https://x/m1.jpg" }) };
+  };
+  const { get, localStorage } = loadApp({ online: true, globals: { fetch, FormData, Blob } });
+  // Parked blobs are raw strings, not JSON, so they go in after load
+  localStorage.setItem("blob:b1", png);
+  localStorage.setItem("blob:b2", png);
+  const payload = { photoMedia: [
+    { kind: "image", blobId: "b1", thumb: png },
+    { kind: "image", blobId: "b2", thumb: png }
+  ] };
+  const saved = [];
+
+  await assert.rejects(get("Media").resolve(payload, { key: "q1", save: p => saved.push(JSON.parse(JSON.stringify(p))) }));
+  assert.equal(saved.length, 1);
+  assert.deepEqual(saved[0].photoMedia.map(m => m.id || m.blobId), ["m1", "b2"]);
+  assert.equal(localStorage.getItem("blob:b1"), null);
+  assert.equal(localStorage.getItem("blob:b2"), png);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const Notify = loadApp().get("Notify");
+const DAY = 24 * 60 * 60 * 1000;
+const snaps = rows => Object.fromEntries(rows.map(r => [String(r.id), Notify.snap(r)]));
+const kinds = (role, prev, rows) => plain(Notify.diff(role, snaps(prev), rows)).map(e => `${e.kind}:${e.id}`);
+
+test("citizens hear about their report moving through the workflow", () => {
+  const before = [{ id: 1, status: "NEW" }, { id: 2, status: "ASSIGNED" }, { id: 3, status: "IN_PROGRESS" }];
+  const after = [{ id: 1, status: "ASSIGNED" }, { id: 2, status: "IN_PROGRESS" }, { id: 3, status: "RESOLVED" }, { id: 4, status: "NEW" }];
+  assert.deepEqual(kinds("user", before, after), ["assigned:1", "progress:2", "resolved:3"]);
+});
+
+test("vendors hear about new tasks, send-backs and approvals", () => {
+  const before = [{ id: 1, status: "VERIFICATION_PENDING" }, { id: 2, status: "VERIFICATION_PENDING" }];
+  const after = [
+    { id: 1, status: "IN_PROGRESS", rejectionReason: "Still litter" },
+    { id: 2, status: "RESOLVED" },
+    { id: 3, status: "ASSIGNED" }
+  ];
+  assert.deepEqual(kinds("vendor", before, after), ["rejected:1", "approved:2", "newTask:3"]);
+  assert.match(Notify.diff("vendor", snaps(before), after)[0].body, /Still litter/);
+});
+
+test("admins hear about completions to verify and reopened reports", () => {
+  const before = [{ id: 1, status: "IN_PROGRESS" }, { id: 2, status: "RESOLVED", reopenCount: 0 }];
+  const after = [{ id: 1, status: "VERIFICATION_PENDING" }, { id: 2, status: "ASSIGNED", reopenCount: 1 }, { id: 3, status: "VERIFICATION_PENDING" }];
+  assert.deepEqual(kinds("admin", before, after), ["verification:1", "reopened:2"]);
+});
+
+test("unchanged rows raise nothing", () => {
+  const rows = [{ id: 1, status: "ASSIGNED" }, { id: 2, status: "VERIFICATION_PENDING" }];
+  ["user", "vendor", "admin"].forEach(role => assert.deepEqual(kinds(role, rows, rows), []));
+});
+
+test("snapshots drop reports not seen within the window", () => {
+  const t = Date.UTC(2025, 5, 1);
+  const prev = { old: { s: "NEW", at: t - 31 * DAY }, recent: { s: "NEW", at: t - 2 * DAY }, legacy: { s: "NEW" } };
+  const merged = plain(Notify.merge(prev, { fresh: { s: "ASSIGNED" } }, t));
+  assert.deepEqual(Object.keys(merged).sort(), ["fresh", "legacy", "recent"]);
+  assert.equal(merged.fresh.at, t);
+  assert.equal(merged.legacy.at, t);
+});
+
+test("snapshots keep at most snapMax entries, most recently seen first", () => {
+  const t = Date.UTC(2025, 5, 1);
+  const prev = {};
+  for (let i = 0; i < Notify.snapMax + 50; i++) prev[`r${i}`] = { s: "NEW", at: t - i * 1000 };
+  const merged = Notify.merge(prev, { page: { s: "NEW" } }, t);
+  assert.equal(Object.keys(merged).length, Notify.snapMax);
+  assert.ok(merged.page);
+  assert.ok(merged.r0);
+  assert.equal(merged[`r${Notify.snapMax + 49}`], undefined);
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const rows = n => Array.from({ length: n }, (_, i) => ({ id: String(i), status: "NEW", createdAt: "2025-01-01T00:00:00Z" }));
+
+// Serves /reports in pages of two, keyed by cursor
+function pagedServer(all, seen = []) {
+  return async url => {
+    seen.push(url);
+    const u = new URL(url);
+    const at = Number(u.searchParams.get("cursor") || 0);
+    const items = all.slice(at, at + 2);
+    const next = at + 2 < all.length ? String(at + 2) : null;
+    return { ok: true, status: 200, json: async () => ({ items, nextCursor: next }) };
+  };
+}
+
+test("loads every report a page at a time", async () => {
+  const { get } = loadApp({ online: true, globals: { fetch: pagedServer(rows(5)) } });
+  const { rows: got, fromCache } = await get("Reports").loadAllReports();
+  assert.deepEqual(plain(got).map(r => r.id), ["0", "1", "2", "3", "4"]);
+  assert.equal(fromCache, false);
+});
+
+test("stops at the page cap", async () => {
+  const seen = [];
+  const { get } = loadApp({ online: true, globals: { fetch: pagedServer(rows(20), seen) } });
+  const { rows: got } = await get("Reports").loadAllReports(3);
+  assert.equal(got.length, 6);
+  assert.equal(seen.length, 3);
+});
+
+test("still accepts a bare array from older servers", async () => {
+  const fetch = async () => ({ ok: true, status: 200, json: async () => rows(3) });
+  const { get } = loadApp({ online: true, globals: { fetch } });
+  const { rows: got } = await get("Reports").loadAllReports();
+  assert.equal(got.length, 3);
+  assert.equal(get("Analytics").compute(got).total, 3);
+});
+
+test("offline search follows the cached page chain", async () => {
+  const { get, ctx } = loadApp({ online: true, globals: { fetch: pagedServer(rows(5)) } });
+  await get("Reports").loadAllReports();
+  ctx.navigator.onLine = false;
+  ctx.fetch = () => Promise.reject(new TypeError("Failed to fetch"));
+  assert.deepEqual(plain(get("Query").cachedRows()).map(r => r.id), ["0", "1", "2", "3", "4"]);
+  const again = await get("Reports").loadAllReports();
+  assert.equal(again.rows.length, 5);
+  assert.equal(again.fromCache, true);
+});
+
+test("offline with nothing cached falls back to rows in memory", () => {
+  const { get } = loadApp();
+  get("Reports")._adminRows = rows(2);
+  assert.equal(get("Query").cachedRows().length, 2);
+});
+
+// Admin list state as refreshAdminTable leaves it, for an unfiltered query
+function startAdminList(get) {
+  const Query = get("Query");
+  get("Reports")._adminRows = [];
+  get("Reports")._adminPage = {
+    gen: 1, picked: "all", filter: "all", query: Query.parse(""),
+    cacheBase: "reports.admin.all.all", path: `/reports?${Query.params({}, "all")}`,
+    cursor: null, done: false, loading: false, error: false, local: false
+  };
+}
+
+function exportSpy(get, ctx) {
+  const out = { files: [], toasts: [] };
+  ctx.toast = msg => out.toasts.push(msg);
+  get("Exporter").deliver = (name, mime, content) => { out.files.push({ name, lines: content.split("\r\n").length - 1 }); return `Saved ${name}`; };
+  return out;
+}
+
+test("an export started while a page is loading waits for it and gets every row", async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const serve = pagedServer(rows(6));
+  const fetch = async url => { await gate; return serve(url); };
+  const { get, ctx } = loadApp({ online: true, globals: { fetch } });
+  startAdminList(get);
+  const out = exportSpy(get, ctx);
+
+  const scrolling = get("Reports").loadMoreAdmin();
+  const exporting = get("Reports").exportAdmin("csv");
+  release();
+  await Promise.all([scrolling, exporting]);
+
+  assert.equal(out.files.length, 1);
+  assert.equal(out.files[0].lines, 6);
+  assert.doesNotMatch(out.files[0].name, /partial/);
+});
+
+test("an export cut short by a network error is labelled partial", async () => {
+  const serve = pagedServer(rows(6));
+  let calls = 0;
+  const fetch = async url => {
+    if (++calls > 2) throw new TypeError("Failed to fetch");
+    return serve(url);
+  };
+  const { get, ctx } = loadApp({ online: true, globals: { fetch } });
+  startAdminList(get);
+  const out = exportSpy(get, ctx);
+  const asked = [];
+  ctx.confirm = msg => { asked.push(msg); return true; };
+
+  await get("Reports").exportAdmin("csv");
+  assert.match(asked[0], /Only 4 reports/);
+  assert.match(out.files[0].name, /partial/);
+  assert.equal(out.files[0].lines, 4);
+  assert.match(out.toasts.join("\n"), /partial export: 4 reports/);
+});
+
+test("loadAllAdmin reports an incomplete list when the page cap is hit", async () => {
+  const { get } = loadApp({ online: true, globals: { fetch: pagedServer(rows(10)) } });
+  startAdminList(get);
+  const { rows: got, complete } = await get("Reports").loadAllAdmin(2);
+  assert.equal(got.length, 4);
+  assert.equal(complete, false);
+  assert.equal((await get("Reports").loadAllAdmin()).complete, true);
+});
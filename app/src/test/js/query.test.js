@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const Query = loadApp().get("Query");
+const parse = s => plain(Query.parse(s));
+
+test("splits known filters from free text", () => {
+  assert.deepEqual(parse('status:assigned type:plastic overflowing bin vendor:"v 7"'), {
+    text: "overflowing bin",
+    errors: [],
+    status: "ASSIGNED",
+    type: "plastic",
+    vendor: "v 7"
+  });
+});
+
+test("keeps quoted phrases and unknown keys as text", () => {
+  assert.deepEqual(parse('"near the gate" colour:red'), { text: "near the gate colour:red", errors: [] });
+});
+
+test("validates dates", () => {
+  const q = parse("before:2025-02-01 after:yesterdayish");
+  assert.equal(q.before, "2025-02-01");
+  assert.equal(q.after, undefined);
+  assert.deepEqual(q.errors, ['after: "yesterdayish" is not a date']);
+});
+
+test("parses near with metres, kilometres and a default radius", () => {
+  assert.deepEqual(parse("near:12.97,77.59,2km").near, { lat: 12.97, lng: 77.59, radiusM: 2000 });
+  assert.deepEqual(parse("near:12.97,77.59,250").near, { lat: 12.97, lng: 77.59, radiusM: 250 });
+  assert.deepEqual(parse("near:-1.5,36.8").near, { lat: -1.5, lng: 36.8, radiusM: 500 });
+  const bad = parse("near:somewhere");
+  assert.equal(bad.near, undefined);
+  assert.equal(bad.errors.length, 1);
+});
+
+test("cache key ignores filter order and case", () => {
+  const a = Query.key(Query.parse("type:Plastic status:new Bin"));
+  const b = Query.key(Query.parse("bin status:NEW type:plastic"));
+  assert.equal(a, b);
+  assert.equal(Query.key(Query.parse("")), "all");
+});
+
+test("sends only server-side filters as params", () => {
+  const p = new URLSearchParams(Query.params(Query.parse("type:glass id:42 near:1,2,3 dump"), "NEW"));
+  assert.equal(p.get("status"), "NEW");
+  assert.equal(p.get("q"), "dump");
+  assert.equal(p.get("type"), "glass");
+  assert.equal(p.get("near"), "1,2,3");
+  assert.equal(p.get("id"), null);
+});
+
+test("matches rows on every filter, and free text only locally", () => {
+  const r = {
+    id: 7, status: "assigned", wasteType: "Glass", assignedVendorId: "V1",
+    createdAt: "2025-01-15T00:00:00Z", lat: 12.97, lng: 77.59, title: "Broken bottles", address: "MG Road"
+  };
+  const q = Query.parse("status:ASSIGNED type:glass vendor:v1 after:2025-01-01 before:2025-02-01 near:12.971,77.59,500m bottles road");
+  assert.equal(Query.matches(r, q, "all", true), true);
+  assert.equal(Query.matches(r, Query.parse("lamp"), "all", false), true);
+  assert.equal(Query.matches(r, Query.parse("lamp"), "all", true), false);
+  assert.equal(Query.matches(r, Query.parse("id:8"), "all"), false);
+  assert.equal(Query.matches(r, Query.parse(""), "RESOLVED"), false);
+  assert.equal(Query.matches(r, Query.parse("near:13.5,77.59,1km"), "all"), false);
+  assert.equal(Query.matches({ ...r, lat: null }, Query.parse("near:12.97,77.59"), "all"), false);
+});
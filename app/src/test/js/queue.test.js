@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+test("online writes carry an idempotency key", async () => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push(init);
+    return { ok: true, status: 200, json: async () => ({}) };
+  };
+  const { get, ctx } = loadApp({ online: true, globals: { fetch } });
+  ctx.toast = () => {};
+  await get("Reports").approveCompletion("7");
+  await get("Reports").rejectCompletion("7", "Bins still full");
+  assert.equal(calls.length, 2);
+  const keys = calls.map(c => c.headers["Idempotency-Key"]);
+  keys.forEach(k => assert.match(k, /^q_/));
+  assert.notEqual(keys[0], keys[1]);
+  assert.equal(get("OfflineQueue.list.length"), 0);
+});
+
+test("a dropped connection queues the write under the key already sent", async () => {
+  const sent = [];
+  const fetch = async (url, init) => {
+    sent.push(init.headers["Idempotency-Key"]);
+    throw new TypeError("Failed to fetch");
+  };
+  const { get, ctx } = loadApp({ online: true, globals: { fetch } });
+  ctx.toast = () => {};
+  const { queued } = plain(await get("Reports").post("admin.assign", { reportId: "7", vendorId: "v1" }));
+  assert.equal(queued, true);
+  const [item] = plain(get("OfflineQueue.list"));
+  assert.equal(item.type, "admin.assign");
+  assert.equal(item.id, sent[0]);
+});
+
+test("offline writes are queued without a request", async () => {
+  let called = false;
+  const { get } = loadApp({ globals: { fetch: async () => { called = true; } } });
+  assert.equal((await get("Reports").post("report.confirm", { reportId: "7" })).queued, true);
+  assert.equal(called, false);
+  assert.equal(get("OfflineQueue.list[0].type"), "report.confirm");
+});
+
+test("server errors surface instead of being queued", async () => {
+  const fetch = async () => ({ ok: false, status: 422, json: async () => ({ error: "Report is resolved" }) });
+  const { get } = loadApp({ online: true, globals: { fetch } });
+  await assert.rejects(get("Reports").post("admin.approve", { reportId: "7" }), /resolved/);
+  assert.equal(get("OfflineQueue.list.length"), 0);
+});
+
+test("reconcile points queued follow-ups and the stub row at the created report", () => {
+  const { get, localStorage } = loadApp();
+  const Q = get("OfflineQueue");
+  const create = Q.enqueueReport({ title: "Dump by the lake" }, "q_1_abc");
+  Q.enqueueAction("report.attach", { reportId: "q_1_abc" });
+  get("Reports")._userRows = [create];
+  Q.list = Q.list.filter(i => i.type !== "report.create");
+
+  Q.reconcile({ id: "q_1_abc", createdAt: create.createdAt }, { id: 99, status: "NEW" });
+
+  assert.equal(Q.list[0].payload.reportId, 99);
+  assert.equal(Q.serverId("q_1_abc"), 99);
+  assert.equal(Q.localRef(99).localId, "q_1_abc");
+  assert.equal(JSON.parse(localStorage.getItem("queueIds")).q_1_abc.id, 99);
+  const [row] = plain(get("Reports")._userRows);
+  assert.equal(row.status, "NEW");
+  assert.equal(row.offline, false);
+  assert.equal(row.title, "Dump by the lake");
+});
+
+test("reconcile ignores a create response without an id", () => {
+  const { get } = loadApp();
+  const Q = get("OfflineQueue");
+  Q.enqueueAction("report.attach", { reportId: "q_2_def" });
+  Q.reconcile({ id: "q_2_def" }, null);
+  assert.equal(Q.list[0].payload.reportId, "q_2_def");
+  assert.equal(Q.serverId("q_2_def"), "q_2_def");
+});
+
+test("items queued before per-account scoping only go to the last account when nobody is signed in", () => {
+  const store = {
+    offlineQueue: [{ id: "q_old", type: "report.confirm", payload: { reportId: "9" }, createdAt: "2024-01-01T00:00:00Z" }],
+    lastSession: { role: "user", userId: "u1" }
+  };
+  const signedIn = loadApp({ store });
+  signedIn.get("Session").data = { role: "user", userId: "u2" };
+  signedIn.get("OfflineQueue").migrateMedia();
+  assert.equal(signedIn.get("OfflineQueue").list[0].owner, undefined);
+  assert.equal(signedIn.get("OfflineQueue").count(), 0);
+
+  const signedOut = loadApp({ store });
+  signedOut.get("Session").data = null;
+  signedOut.get("OfflineQueue").migrateMedia();
+  assert.equal(signedOut.get("OfflineQueue").list[0].owner, signedOut.get("sessionAccountKey")({ role: "user", userId: "u1" }));
+});
+
+test("a reopen without a photo is refused before anything is sent or queued", async () => {
+  const calls = [];
+  const fetch = async (url, init) => { calls.push(url); return { ok: true, status: 200, json: async () => ({}) }; };
+  const { get, ctx } = loadApp({ online: true, globals: { fetch } });
+  const toasts = [];
+  ctx.toast = msg => toasts.push(msg);
+  get("Session").data = { role: "user", userId: "u1" };
+  await get("Reports").citizenReopen("7", "Still overflowing", undefined);
+  assert.equal(calls.length, 0);
+  assert.equal(get("OfflineQueue").list.length, 0);
+  assert.match(toasts[0], /Add a photo/);
+});
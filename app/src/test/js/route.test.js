@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const { get } = loadApp();
+const Route = get("Route");
+
+const pt = (id, lat, lng) => ({ id, lat, lng });
+const start = pt("start", 0, 0);
+
+// Exhaustive best open path, for small inputs
+function bruteForce(stops) {
+  let best = Infinity;
+  const permute = (done, left) => {
+    if (!left.length) { best = Math.min(best, Route.length(start, done)); return; }
+    left.forEach((s, i) => permute([...done, s], left.filter((_, j) => j !== i)));
+  };
+  permute([], stops);
+  return best;
+}
+
+test("visits every stop exactly once", () => {
+  const stops = [pt("a", 0.01, 0), pt("b", 0.02, 0.01), pt("c", 0, 0.03), pt("d", 0.03, 0.03)];
+  const ids = plain(Route.order(start, stops)).map(s => s.id).sort();
+  assert.deepEqual(ids, ["a", "b", "c", "d"]);
+});
+
+test("walks stops on a line in order from the start", () => {
+  const stops = [pt("c", 0, 0.03), pt("a", 0, 0.01), pt("b", 0, 0.02)];
+  assert.deepEqual(plain(Route.order(start, stops)).map(s => s.id), ["a", "b", "c"]);
+});
+
+test("2-opt removes the crossing nearest-neighbour leaves behind", () => {
+  // Nearest-neighbour goes a -> b, then has to double back across its own path
+  const stops = [pt("a", 0, 0.010), pt("b", 0, 0.012), pt("c", 0.010, 0.011), pt("d", -0.001, 0.030)];
+  const ordered = Route.order(start, stops);
+  assert.ok(Math.abs(Route.length(start, ordered) - bruteForce(stops)) < 1);
+});
+
+test("stays close to optimal on small random sets", () => {
+  let seed = 11;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let n = 0; n < 20; n++) {
+    const stops = Array.from({ length: 6 }, (_, i) => pt(`s${i}`, rand() * 0.05, rand() * 0.05));
+    const got = Route.length(start, Route.order(start, stops));
+    assert.ok(got <= bruteForce(stops) * 1.15, `tour ${n} is more than 15% over optimal`);
+  }
+});
+
+test("handles empty and single-stop inputs", () => {
+  assert.deepEqual(plain(Route.order(start, [])), []);
+  assert.deepEqual(plain(Route.order(start, [pt("a", 1, 1)])).map(s => s.id), ["a"]);
+});
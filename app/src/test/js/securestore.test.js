@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+// Just enough IndexedDB for one object store; keeps values (CryptoKeys) as-is like structured clone would
+function fakeIndexedDB() {
+  const data = new Map();
+  const request = fn => {
+    const req = {};
+    setImmediate(() => { req.result = fn(); req.onsuccess?.(); });
+    return req;
+  };
+  const db = {
+    createObjectStore() {},
+    transaction: () => ({
+      objectStore: () => ({
+        get: k => request(() => data.get(k)),
+        put: (v, k) => request(() => { data.set(k, v); return k; })
+      })
+    })
+  };
+  return {
+    open() {
+      const req = {};
+      setImmediate(() => { req.result = db; req.onupgradeneeded?.(); req.onsuccess?.(); });
+      return req;
+    }
+  };
+}
+
+const browser = (extra = {}) => ({ crypto: globalThis.crypto, indexedDB: fakeIndexedDB(), ...extra });
+
+test("browser fallback stores only ciphertext and reads it back after a reload", async () => {
+  const globals = browser();
+  const first = loadApp({ globals });
+  await first.get("SecureStore.ready");
+  first.get("SecureStore").set("jwt", "header.secret-token.sig");
+  await first.get("SecureStore._saving.jwt");
+  const raw = first.localStorage.getItem("secure:jwt");
+  assert.doesNotMatch(raw, /secret-token/);
+  assert.equal(JSON.parse(raw).v, 1);
+
+  const second = loadApp({ globals: { ...globals, localStorage: first.localStorage } });
+  await second.get("SecureStore.ready");
+  assert.equal(second.get("SecureStore").get("jwt"), "header.secret-token.sig");
+});
+
+test("plaintext left by an earlier build is re-saved encrypted", async () => {
+  const { get, localStorage } = loadApp({
+    store: { "secure:offlineAccounts": [{ token: "old-token", session: { role: "user", userId: "u1" } }] },
+    globals: browser()
+  });
+  await get("SecureStore.ready");
+  assert.doesNotMatch(localStorage.getItem("secure:offlineAccounts"), /old-token/);
+  assert.equal(plain(get("SecureStore").get("offlineAccounts"))[0].token, "old-token");
+});
+
+test("without WebCrypto credentials stay in memory only", async () => {
+  const { get, localStorage } = loadApp({ store: { "secure:lastJwt": "plain-token" } });
+  await get("SecureStore.ready");
+  assert.equal(get("SecureStore").get("lastJwt"), "plain-token");
+  assert.equal(localStorage.getItem("secure:lastJwt"), null);
+  get("SecureStore").set("jwt", "another");
+  await get("SecureStore._saving.jwt");
+  assert.equal(localStorage.getItem("secure:jwt"), null);
+});
+
+function nativeSecure(ok) {
+  const data = {};
+  return {
+    data,
+    getItem: k => data[k] ?? null,
+    setItem: (k, v) => { if (ok) data[k] = v; return ok; },
+    removeItem: k => { delete data[k]; }
+  };
+}
+
+test("migration keeps the plaintext copy when the secure write fails", async () => {
+  const { get, localStorage } = loadApp({ store: { jwt: "legacy" }, globals: { NativeSecureStore: nativeSecure(false) } });
+  await get("SecureStore.ready");
+  assert.equal(localStorage.getItem("jwt"), JSON.stringify("legacy"));
+});
+
+test("migration removes the plaintext copy once it is stored securely", async () => {
+  const NativeSecureStore = nativeSecure(true);
+  const { get, localStorage } = loadApp({ store: { jwt: "legacy" }, globals: { NativeSecureStore } });
+  await get("SecureStore.ready");
+  assert.equal(localStorage.getItem("jwt"), null);
+  assert.equal(NativeSecureStore.data.jwt, JSON.stringify("legacy"));
+  assert.equal(get("SecureStore").set("lastJwt", "x"), true);
+});
+
+test("native values are decrypted once and then served from memory", async () => {
+  const NativeSecureStore = nativeSecure(true);
+  NativeSecureStore.data.offlineAccounts = JSON.stringify([{ key: "user:a" }]);
+  let reads = 0;
+  const getItem = NativeSecureStore.getItem;
+  NativeSecureStore.getItem = k => { reads++; return getItem(k); };
+  const { get } = loadApp({ globals: { NativeSecureStore } });
+  await get("SecureStore.ready");
+  const SecureStore = get("SecureStore");
+  const before = reads;
+  for (let i = 0; i < 5; i++) assert.equal(SecureStore.get("offlineAccounts").length, 1);
+  assert.ok(reads - before <= 1);
+
+  SecureStore.set("offlineAccounts", []);
+  assert.equal(SecureStore.get("offlineAccounts").length, 0);
+  SecureStore.remove("offlineAccounts");
+  assert.equal(SecureStore.get("offlineAccounts"), null);
+  assert.equal(NativeSecureStore.data.offlineAccounts, undefined);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./harness");
+
+const H = 3600000;
+const ago = h => new Date(Date.now() - h * H).toISOString();
+
+test("a fresh unassigned report runs against the assignment target", () => {
+  const SLA = loadApp().get("SLA");
+  const i = SLA.info({ status: "NEW", wasteType: "plastic", createdAt: ago(1) });
+  assert.equal(i.stage, "assign");
+  assert.equal(i.targetMs, 4 * H);
+  assert.equal(i.breached, false);
+  assert.equal(i.stages.start, null);
+});
+
+test("a report left unassigned past its response target is breached", () => {
+  const SLA = loadApp().get("SLA");
+  const r = { status: "NEW", wasteType: "plastic", createdAt: ago(6) };
+  assert.equal(SLA.breached(r), true);
+  assert.ok(SLA.overdueMs(r) > 1.9 * H);
+});
+
+test("an assigned report runs against the start target from assignment", () => {
+  const SLA = loadApp().get("SLA");
+  const i = SLA.info({ status: "ASSIGNED", wasteType: "organic", createdAt: ago(3), assignedAt: ago(2) });
+  assert.equal(i.stages.assign.done, true);
+  assert.equal(i.stages.assign.breached, false);
+  assert.equal(i.stage, "complete"); // 21h left to complete beats 22h left to start
+  assert.ok(Math.abs(i.stages.start.elapsedMs - 2 * H) < 1000);
+});
+
+test("a late assignment still counts once the report is done", () => {
+  const SLA = loadApp().get("SLA");
+  const i = SLA.info({
+    status: "RESOLVED", wasteType: "plastic",
+    createdAt: ago(20), assignedAt: ago(10), startedAt: ago(9), resolvedAt: ago(1)
+  });
+  assert.equal(i.done, true);
+  assert.equal(i.stage, "complete");
+  assert.equal(i.stages.complete.breached, false);
+  assert.equal(i.stages.assign.breached, true);
+  assert.equal(i.breached, true);
+});
+
+test("completion is measured against the waste type's target", () => {
+  const SLA = loadApp().get("SLA");
+  const late = { status: "IN_PROGRESS", wasteType: "organic", createdAt: ago(30), assignedAt: ago(29), startedAt: ago(28) };
+  assert.equal(SLA.info(late).stage, "complete");
+  assert.equal(SLA.info(late).targetMs, 24 * H);
+  assert.equal(SLA.breached(late), true);
+  assert.equal(SLA.breached({ ...late, wasteType: "metal" }), false);
+});
+
+test("stages without a known end time are left out", () => {
+  const SLA = loadApp().get("SLA");
+  const i = SLA.info({ status: "IN_PROGRESS", wasteType: "glass", createdAt: ago(2) });
+  assert.equal(i.stages.assign, null);
+  assert.equal(i.stages.start, null);
+  assert.equal(SLA.info({ status: "NEW" }), null);
+});
+
+test("reads targets saved by older builds and prefers stored stage targets", () => {
+  const legacy = loadApp({ store: { slaTargets: { organic: 12 } } }).get("SLA");
+  assert.equal(legacy.targetHours("organic"), 12);
+  assert.equal(legacy.stageTargets().assign, 4);
+
+  const synced = loadApp({ store: { slaTargets: { types: { glass: 10 }, stages: { assign: 2 } } } }).get("SLA");
+  assert.equal(synced.targetHours("glass"), 10);
+  assert.equal(synced.targetHours("unknown"), 48);
+  assert.equal(synced.info({ status: "NEW", createdAt: ago(3) }).breached, true);
+});
+
+test("an edit made offline is kept locally until it can be sent", async () => {
+  const { get, localStorage } = loadApp();
+  const SLA = get("SLA");
+  assert.equal(await SLA.setTargets({ organic: "6", glass: "-1" }, { assign: "2" }), false);
+  const saved = JSON.parse(localStorage.getItem("slaTargets"));
+  assert.equal(saved.dirty, true);
+  assert.deepEqual(saved.types, { organic: 6 });
+  assert.equal(SLA.stageTargets().assign, 2);
+});
+
+test("an edit the server rejects is dropped for the server's copy instead of staying dirty", async () => {
+  const server = { types: { organic: 30 }, stages: { assign: 5 }, updatedAt: "2025-01-01T00:00:00Z" };
+  const fetch = async (url, opts = {}) => opts.method === "PUT"
+    ? { ok: false, status: 422, json: async () => ({ error: "assign must be at least 1h" }) }
+    : { ok: true, status: 200, json: async () => server };
+  const store = { slaTargets: { types: { organic: 6 }, stages: { assign: 0.5 }, updatedAt: "2025-02-01T00:00:00Z", dirty: true } };
+  const { get, ctx, localStorage } = loadApp({ store, online: true, globals: { fetch } });
+  const toasts = [];
+  ctx.toast = msg => toasts.push(msg);
+  get("Session").data = { role: "admin", token: "t" };
+
+  await get("SLA").refresh();
+  const saved = JSON.parse(localStorage.getItem("slaTargets"));
+  assert.ok(!saved.dirty);
+  assert.equal(saved.types.organic, 30);
+  assert.equal(get("SLA").stageTargets().assign, 5);
+  assert.match(toasts.join("\n"), /rejected the SLA targets saved on this device \(assign must be at least 1h\)/);
+});
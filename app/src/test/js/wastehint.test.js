@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./harness");
+
+const photo = name => ({ kind: "image", dataUrl: `data:image/jpeg;base64,${name}` });
+
+test("a slow suggestion for older picks doesn't overwrite a newer one", async () => {
+  const { get } = loadApp();
+  const UI = get("UI");
+  const pending = [];
+  get("Classifier").suggest = photos => new Promise(resolve => pending.push(() => resolve({ type: photos.length === 1 ? "glass" : "plastic", confidence: 0.9 })));
+
+  UI._picks.report = [photo("a")];
+  const first = UI.suggestWasteType();
+  UI._picks.report = [photo("a"), photo("b")];
+  const second = UI.suggestWasteType();
+  pending[1]();
+  await second;
+  pending[0]();
+  await first;
+  assert.deepEqual(plain(UI._wasteHint), { type: "plastic", confidence: 0.9 });
+});
+
+test("clearing the picks drops an in-flight suggestion", async () => {
+  const { get } = loadApp();
+  const UI = get("UI");
+  let finish;
+  get("Classifier").suggest = () => new Promise(resolve => { finish = () => resolve({ type: "glass", confidence: 0.8 }); });
+  UI._picks.report = [photo("a")];
+  const run = UI.suggestWasteType();
+  UI.clearPicked("report");
+  finish();
+  await run;
+  assert.equal(UI._wasteHint, null);
+});
+
+test("a classifier failure clears the hint instead of throwing", async () => {
+  const { get } = loadApp();
+  const UI = get("UI");
+  UI._wasteHint = { type: "glass", confidence: 0.5 };
+  get("Classifier").suggest = async () => { throw new Error("model failed to load"); };
+  UI._picks.report = [photo("a")];
+  await UI.suggestWasteType();
+  assert.equal(UI._wasteHint, null);
+});